@@ -15,8 +15,18 @@
 // @grant        GM_addStyle
 // @grant        GM.setValue
 // @grant        GM_getValue
+// @grant        GM.xmlHttpRequest
+// @connect      raw.githubusercontent.com
+// @connect      gist.githubusercontent.com
+// @connect      cdn.discordapp.com
+// @connect      media.discordapp.net
+// @connect      i.imgur.com
+// @connect      *
 // ==/UserScript==
 
 // Wplace  --> https://wplace.live
 // License --> https://www.mozilla.org/en-US/MPL/2.0/
 
+// "@connect *" is needed, since subscribed templates (and osu!place manifests) can be hosted on any website.
+// The known template hosts are listed before it. Tampermonkey asks the user before it contacts any other website. Other userscript managers might not ask.
+
@@ -1,4 +1,13 @@
-import { uint8ToBase64 } from "./utils";
+import { remapImageData, uint8ToBase64 } from "./utils";
+
+/** The style templates are drawn with, unless the template has its own style.
+ * @since 0.84.0
+ */
+export const templateStyleDefault = {
+  opacity: 1, // How opaque the template is (0 to 1)
+  shape: 'dot', // How each pixel is drawn. Either 'dot', 'block', 'outline', or 'crosshair'
+  tint: null // A color ("#rrggbb") mixed into every pixel of the template, or null
+};
 
 /** An instance of a template.
  * Handles all mathematics, manipulation, and analysis regarding a single template.
@@ -9,19 +18,23 @@ export default class Template {
 
   /** The constructor for the {@link Template} class with enhanced pixel tracking.
    * @param {Object} [params={}] - Object containing all optional parameters
+   * @param {string} [params.id=''] - The unique ID of the template. It is the key of the template in the JSON object, and never changes
    * @param {string} [params.displayName='My template'] - The display name of the template
    * @param {number} [params.sortID=0] - The sort number of the template for rendering priority
    * @param {string} [params.authorID=''] - The user ID of the person who exported the template (prevents sort ID collisions)
    * @param {string} [params.url=''] - The URL to the source image
-   * @param {File} [params.file=null] - The template file (pre-processed File or processed bitmap)
+   * @param {File} [params.file=null] - The template file (pre-processed File or processed bitmap). This is the source image the chunks are created from
    * @param {Array<number>} [params.coords=null] - The coordinates of the top left corner as (tileX, tileY, pixelX, pixelY)
    * @param {Object} [params.chunked=null] - The affected chunks of the template, and their template for each chunk
    * @param {number} [params.tileSize=1000] - The size of a tile in pixels (assumes square tiles)
    * @param {number} [params.pixelCount=0] - Total number of pixels in the template (calculated automatically during processing)
    * @param {boolean} [params.enabled=true] - Whether the template is enabled for display
+   * @param {string} [params.renderMode='all'] - How the template is rendered. Either 'all' (every pixel) or 'errors' (only wrong and missing pixels)
+   * @param {Object} [params.style={}] - How the template is drawn. Missing settings use {@link templateStyleDefault}
    * @since 0.65.2
    */
   constructor({
+    id = '',
     displayName = 'My template',
     sortID = 0,
     authorID = '',
@@ -31,7 +44,10 @@ export default class Template {
     chunked = null,
     tileSize = 1000,
     enabled = true,
+    renderMode = 'all',
+    style = {},
   } = {}) {
+    this.id = id;
     this.displayName = displayName;
     this.sortID = sortID;
     this.authorID = authorID;
@@ -42,147 +58,303 @@ export default class Template {
     this.tileSize = tileSize;
     this.pixelCount = 0; // Total pixel count in template
     this.enabled = enabled; // Whether template is enabled for display
+    this.renderMode = renderMode; // How the template is rendered ('all' or 'errors')
+    this.style = { ...templateStyleDefault, ...style }; // How the template is drawn (opacity, shape, and tint)
+    this.chunkedPixels = {}; // Cache of the unshredded pixels of each chunk (see getChunkPixels())
+    this.chunkedProgress = {}; // The last comparison between each chunk and the live tile it is on
   }
 
   /** Creates chunks of the template for each tile.
-   * 
+   * The chunking runs in the worker pool, so the page does not freeze on large templates.
+   * @param {WorkerPool} workerPool - The worker pool that chunks the template
    * @returns {Object} Collection of template bitmaps & buffers organized by tile coordinates
    * @since 0.65.4
    */
-  async createTemplateTiles() {
+  async createTemplateTiles(workerPool) {
     console.log('Template coordinates:', this.coords);
 
-    const shreadSize = 3; // Scale image factor for pixel art enhancement (must be odd)
-    const bitmap = await createImageBitmap(this.file); // Create efficient bitmap from uploaded file
-    const imageWidth = bitmap.width;
-    const imageHeight = bitmap.height;
-    
-    // Calculate total pixel count using standard width × height formula
-    // TODO: Use non-transparent pixels instead of basic width times height
-    const totalPixels = imageWidth * imageHeight;
-    console.log(`Template pixel analysis - Dimensions: ${imageWidth}×${imageHeight} = ${totalPixels.toLocaleString()} pixels`);
-    
-    // Store pixel count in instance property for access by template manager and UI components
-    this.pixelCount = totalPixels;
+    const { tiles, pixelCount } = await workerPool.run('chunkTemplate', {
+      file: this.file,
+      coords: this.coords,
+      tileSize: this.tileSize,
+      shreadSize: 3 // Scale image factor for pixel art enhancement (must be odd)
+    });
 
     const templateTiles = {}; // Holds the template tiles
     const templateTilesBuffers = {}; // Holds the buffers of the template tiles
 
-    const canvas = new OffscreenCanvas(this.tileSize, this.tileSize);
+    this.chunkedPixels = {}; // The chunks changed, so the cache is stale
+    this.chunkedProgress = {}; // ...and so is any progress measured against the old chunks
+
+    for (const [templateTileName, tile] of Object.entries(tiles)) {
+      templateTiles[templateTileName] = tile.bitmap;
+      templateTilesBuffers[templateTileName] = tile.buffer;
+      this.chunkedPixels[templateTileName] = tile.pixels; // The worker already has the unshredded pixels, so they do not need to be read back
+    }
+
+    // Store pixel count in instance property for access by template manager and UI components
+    this.pixelCount = pixelCount;
+
+    console.log(`Template pixel analysis - ${pixelCount.toLocaleString()} pixels in ${Object.keys(templateTiles).length} chunks`);
+    return { templateTiles, templateTilesBuffers };
+  }
+
+  /** Retrieves the unshredded pixels of a chunk.
+   * Only the middle pixel of each 3x3 block survives shredding, so that pixel is sampled for every block.
+   * Blocks drawn as the #deface checkerboard are returned as #deface (222, 250, 206).
+   * The result is cached since chunks do not change until they are recreated.
+   * @param {string} tileName - The key of the chunk (e.g. "0001,0002,345,678")
+   * @returns {Promise<{width: number, height: number, data: Uint8ClampedArray}|null>} The RGBA pixels of the chunk, or null if the chunk does not exist
+   * @since 0.84.0
+   */
+  async getChunkPixels(tileName) {
+
+    if (this.chunkedPixels[tileName]) {return this.chunkedPixels[tileName];} // Returns the cached pixels, if any
+
+    const bitmap = this.chunked?.[tileName];
+    if (!bitmap) {return null;} // Kills itself if the chunk does not exist
+
+    const shreadSize = 3; // The size of each pixel block in the shredded bitmap
+
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
     const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(bitmap, 0, 0);
+    const shredded = context.getImageData(0, 0, bitmap.width, bitmap.height).data;
+
+    const width = Math.floor(bitmap.width / shreadSize);
+    const height = Math.floor(bitmap.height / shreadSize);
+    const data = new Uint8ClampedArray(width * height * 4);
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
 
-    // For every tile...
-    for (let pixelY = this.coords[3]; pixelY < imageHeight + this.coords[3]; ) {
-
-      // Draws the partial tile first, if any
-      // This calculates the size based on which is smaller:
-      // A. The top left corner of the current tile to the bottom right corner of the current tile
-      // B. The top left corner of the current tile to the bottom right corner of the image
-      const drawSizeY = Math.min(this.tileSize - (pixelY % this.tileSize), imageHeight - (pixelY - this.coords[3]));
-
-      console.log(`Math.min(${this.tileSize} - (${pixelY} % ${this.tileSize}), ${imageHeight} - (${pixelY - this.coords[3]}))`);
-
-      for (let pixelX = this.coords[2]; pixelX < imageWidth + this.coords[2];) {
-
-        console.log(`Pixel X: ${pixelX}\nPixel Y: ${pixelY}`);
-
-        // Draws the partial tile first, if any
-        // This calculates the size based on which is smaller:
-        // A. The top left corner of the current tile to the bottom right corner of the current tile
-        // B. The top left corner of the current tile to the bottom right corner of the image
-        const drawSizeX = Math.min(this.tileSize - (pixelX % this.tileSize), imageWidth - (pixelX - this.coords[2]));
-
-        console.log(`Math.min(${this.tileSize} - (${pixelX} % ${this.tileSize}), ${imageWidth} - (${pixelX - this.coords[2]}))`);
-
-        console.log(`Draw Size X: ${drawSizeX}\nDraw Size Y: ${drawSizeY}`);
-
-        // Change the canvas size and wipe the canvas
-        const canvasWidth = drawSizeX * shreadSize;// + (pixelX % this.tileSize) * shreadSize;
-        const canvasHeight = drawSizeY * shreadSize;// + (pixelY % this.tileSize) * shreadSize;
-        canvas.width = canvasWidth;
-        canvas.height = canvasHeight;
-
-        console.log(`Draw X: ${drawSizeX}\nDraw Y: ${drawSizeY}\nCanvas Width: ${canvasWidth}\nCanvas Height: ${canvasHeight}`);
-
-        context.imageSmoothingEnabled = false; // Nearest neighbor
-
-        console.log(`Getting X ${pixelX}-${pixelX + drawSizeX}\nGetting Y ${pixelY}-${pixelY + drawSizeY}`);
-
-        // Draws the template segment on this tile segment
-        context.clearRect(0, 0, canvasWidth, canvasHeight); // Clear any previous drawing (only runs when canvas size does not change)
-        context.drawImage(
-          bitmap, // Bitmap image to draw
-          pixelX - this.coords[2], // Coordinate X to draw from
-          pixelY - this.coords[3], // Coordinate Y to draw from
-          drawSizeX, // X width to draw from
-          drawSizeY, // Y height to draw from
-          0, // Coordinate X to draw at
-          0, // Coordinate Y to draw at
-          drawSizeX * shreadSize, // X width to draw at
-          drawSizeY * shreadSize // Y height to draw at
-        ); // Coordinates and size of draw area of source image, then canvas
-
-        // const final = await canvas.convertToBlob({ type: 'image/png' });
-        // const url = URL.createObjectURL(final); // Creates a blob URL
-        // window.open(url, '_blank'); // Opens a new tab with blob
-        // setTimeout(() => URL.revokeObjectURL(url), 60000); // Destroys the blob 1 minute later
-
-        const imageData = context.getImageData(0, 0, canvasWidth, canvasHeight); // Data of the image on the canvas
-
-        for (let y = 0; y < canvasHeight; y++) {
-          for (let x = 0; x < canvasWidth; x++) {
-            // For every pixel...
-            const pixelIndex = (y * canvasWidth + x) * 4; // Find the pixel index in an array where every 4 indexes are 1 pixel
-            // If the pixel is the color #deface, draw a translucent gray checkerboard pattern
-            if (
-              imageData.data[pixelIndex] === 222 &&
-              imageData.data[pixelIndex + 1] === 250 &&
-              imageData.data[pixelIndex + 2] === 206
-            ) {
-              if ((x + y) % 2 === 0) { // Formula for checkerboard pattern
-                imageData.data[pixelIndex] = 0;
-                imageData.data[pixelIndex + 1] = 0;
-                imageData.data[pixelIndex + 2] = 0;
-                imageData.data[pixelIndex + 3] = 32; // Translucent black
-              } else { // Transparent negative space
-                imageData.data[pixelIndex + 3] = 0;
-              }
-            } else if (x % shreadSize !== 1 || y % shreadSize !== 1) { // Otherwise only draw the middle pixel
-              imageData.data[pixelIndex + 3] = 0; // Make the pixel transparent on the alpha channel
-            }
+        const pixelIndex = (y * width + x) * 4; // Index of the pixel in the unshredded data
+        const middleIndex = (((y * shreadSize) + 1) * bitmap.width + (x * shreadSize) + 1) * 4; // Index of the middle of the block in the shredded data
+
+        // A translucent black pixel anywhere in the block means the block is the #deface checkerboard
+        let isDeface = false;
+        for (let blockY = 0; blockY < shreadSize && !isDeface; blockY++) {
+          for (let blockX = 0; blockX < shreadSize && !isDeface; blockX++) {
+            const blockIndex = (((y * shreadSize) + blockY) * bitmap.width + (x * shreadSize) + blockX) * 4;
+            isDeface = shredded[blockIndex + 3] === 32 && !shredded[blockIndex] && !shredded[blockIndex + 1] && !shredded[blockIndex + 2];
           }
         }
 
-        console.log(`Shreaded pixels for ${pixelX}, ${pixelY}`, imageData);
+        if (isDeface) {
+          data.set([222, 250, 206, 255], pixelIndex);
+        } else {
+          data.set(shredded.subarray(middleIndex, middleIndex + 4), pixelIndex);
+        }
+      }
+    }
+
+    this.chunkedPixels[tileName] = { width, height, data };
+    return this.chunkedPixels[tileName];
+  }
+
+  /** Rebuilds the unshredded template image from the chunks.
+   * This is used when the original file is not available (e.g. the template was loaded from storage).
+   * @returns {Promise<Blob|null>} The template image as a PNG, or null if there are no chunks
+   * @since 0.84.0
+   */
+  async createFileFromChunks() {
+
+    const chunks = []; // The chunks, and their absolute position on the canvas
 
-        context.putImageData(imageData, 0, 0);
+    for (const tileName of Object.keys(this.chunked || {})) {
+      const [tileX, tileY, pixelX, pixelY] = tileName.split(',').map(Number);
+      const pixels = await this.getChunkPixels(tileName);
+      if (!pixels) {continue;}
+      chunks.push({ x: (tileX * this.tileSize) + pixelX, y: (tileY * this.tileSize) + pixelY, pixels });
+    }
 
-        // Creates the "0000,0000,000,000" key name
-        const templateTileName = `${(this.coords[0] + Math.floor(pixelX / 1000))
-          .toString()
-          .padStart(4, '0')},${(this.coords[1] + Math.floor(pixelY / 1000))
-          .toString()
-          .padStart(4, '0')},${(pixelX % 1000)
-          .toString()
-          .padStart(3, '0')},${(pixelY % 1000).toString().padStart(3, '0')}`;
+    if (chunks.length === 0) {return null;} // Kills itself if there is nothing to rebuild
 
-        templateTiles[templateTileName] = await createImageBitmap(canvas); // Creates the bitmap
-        
-        const canvasBlob = await canvas.convertToBlob();
-        const canvasBuffer = await canvasBlob.arrayBuffer();
-        const canvasBufferBytes = Array.from(new Uint8Array(canvasBuffer));
-        templateTilesBuffers[templateTileName] = uint8ToBase64(canvasBufferBytes); // Stores the buffer
+    // The bounds of the whole template
+    const minX = Math.min(...chunks.map(chunk => chunk.x));
+    const minY = Math.min(...chunks.map(chunk => chunk.y));
+    const maxX = Math.max(...chunks.map(chunk => chunk.x + chunk.pixels.width));
+    const maxY = Math.max(...chunks.map(chunk => chunk.y + chunk.pixels.height));
 
-        console.log(templateTiles);
+    const canvas = new OffscreenCanvas(maxX - minX, maxY - minY);
+    const context = canvas.getContext('2d');
+
+    // Puts every chunk back where it was cut from
+    for (const chunk of chunks) {
+      context.putImageData(new ImageData(new Uint8ClampedArray(chunk.pixels.data), chunk.pixels.width, chunk.pixels.height), chunk.x - minX, chunk.y - minY);
+    }
 
-        pixelX += drawSizeX;
+    return await canvas.convertToBlob({ type: 'image/png' });
+  }
+
+  /** Encodes the source image of the template as a base64 PNG.
+   * PNG is lossless, so the template can be chunked again later without losing any pixels.
+   * @returns {Promise<string|null>} The base 64 encoded PNG, or null if there is no source image
+   * @since 0.84.0
+   */
+  async createSourceBase64() {
+
+    if (!this.file) {return null;} // Kills itself if there is no source image
+
+    let blob = this.file;
+
+    // Any other image type (e.g. JPEG) is converted to PNG
+    if (blob.type !== 'image/png') {
+      const bitmap = await createImageBitmap(blob);
+      const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+      canvas.getContext('2d').drawImage(bitmap, 0, 0);
+      blob = await canvas.convertToBlob({ type: 'image/png' });
+    }
+
+    const buffer = await blob.arrayBuffer();
+    return uint8ToBase64(new Uint8Array(buffer));
+  }
+
+  /** Creates a transformed copy of the source image of the template.
+   * Every transform keeps the pixels as they are (nearest neighbor), so no new colors are made.
+   * @param {string} transform - Either 'trim' (removes transparent borders), 'flipHorizontal', 'flipVertical', 'rotateClockwise', 'rotateCounterclockwise', 'scaleUp', or 'scaleDown'
+   * @param {number} [factor=2] - How many times larger, or smaller, the image is scaled. Only used by 'scaleUp' and 'scaleDown'
+   * @returns {Promise<{file: Blob, offsetX: number, offsetY: number}>} The transformed image as a PNG, and how far its top left corner moved (only trimming moves it)
+   * @since 0.84.0
+   */
+  async createTransformedFile(transform, factor = 2) {
+
+    if (!this.file) {
+      throw new Error('Template does not have a source image to transform');
+    }
+
+    if (['scaleUp', 'scaleDown'].includes(transform) && !(Number.isInteger(factor) && factor >= 2)) {
+      throw new Error('The scale factor must be a whole number of at least 2');
+    }
+
+    const bitmap = await createImageBitmap(this.file);
+    const sourceCanvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const sourceContext = sourceCanvas.getContext('2d', { willReadFrequently: true });
+    sourceContext.drawImage(bitmap, 0, 0);
+    const source = sourceContext.getImageData(0, 0, bitmap.width, bitmap.height);
+    const { width: sourceWidth, height: sourceHeight } = source;
+
+    let offsetX = 0;
+    let offsetY = 0;
+    let width = sourceWidth;
+    let height = sourceHeight;
+    let sourcePosition; // Finds the pixel of the source image for each pixel of the transformed image
+
+    switch (transform) {
+      case 'trim': {
+
+        // The bounds of every pixel that is not fully transparent
+        let minX = sourceWidth, minY = sourceHeight, maxX = -1, maxY = -1;
+        for (let y = 0; y < sourceHeight; y++) {
+          for (let x = 0; x < sourceWidth; x++) {
+            if (source.data[((y * sourceWidth) + x) * 4 + 3] === 0) {continue;}
+            minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+            minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+          }
+        }
+
+        if (maxX < 0) {
+          throw new Error('The template has no pixels to keep');
+        }
+
+        offsetX = minX;
+        offsetY = minY;
+        width = maxX - minX + 1;
+        height = maxY - minY + 1;
+        sourcePosition = (x, y) => [x + minX, y + minY];
+        break;
       }
+      case 'flipHorizontal':
+        sourcePosition = (x, y) => [sourceWidth - 1 - x, y];
+        break;
+      case 'flipVertical':
+        sourcePosition = (x, y) => [x, sourceHeight - 1 - y];
+        break;
+      case 'rotateClockwise':
+        width = sourceHeight;
+        height = sourceWidth;
+        sourcePosition = (x, y) => [y, sourceHeight - 1 - x];
+        break;
+      case 'rotateCounterclockwise':
+        width = sourceHeight;
+        height = sourceWidth;
+        sourcePosition = (x, y) => [sourceWidth - 1 - y, x];
+        break;
+      case 'scaleUp':
+        width = sourceWidth * factor;
+        height = sourceHeight * factor;
+        sourcePosition = (x, y) => [Math.floor(x / factor), Math.floor(y / factor)];
+        break;
+      case 'scaleDown':
+        width = Math.ceil(sourceWidth / factor);
+        height = Math.ceil(sourceHeight / factor);
+        sourcePosition = (x, y) => [x * factor, y * factor]; // The top left pixel of each block is kept
+        break;
+      default:
+        throw new Error(`Unknown transform "${transform}"`);
+    }
 
-      pixelY += drawSizeY;
+    // Large templates are chunked into bitmaps 3 times their size, so the size is limited
+    if (width * height > 25000000) {
+      throw new Error(`The transformed template would be ${width}x${height} pixels, which is too large`);
     }
 
-    console.log('Template Tiles: ', templateTiles);
-    console.log('Template Tiles Buffers: ', templateTilesBuffers);
-    return { templateTiles, templateTilesBuffers };
+    const transformed = new ImageData(width, height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const [sourceX, sourceY] = sourcePosition(x, y);
+        const sourceIndex = ((sourceY * sourceWidth) + sourceX) * 4;
+        transformed.data.set(source.data.subarray(sourceIndex, sourceIndex + 4), ((y * width) + x) * 4);
+      }
+    }
+
+    const canvas = new OffscreenCanvas(width, height);
+    canvas.getContext('2d').putImageData(transformed, 0, 0);
+
+    return { file: await canvas.convertToBlob({ type: 'image/png' }), offsetX, offsetY };
+  }
+
+  /** Creates a copy of the source image of the template with some colors replaced.
+   * @param {Object<string, Array<number>|null>} colorMap - The colors to replace ("#rrggbb") -> the color to replace them with as [red, green, blue], or null to make them transparent
+   * @returns {Promise<{file: Blob, changedPixels: number}>} The remapped image as a PNG, and how many pixels changed color
+   * @since 0.84.0
+   */
+  async createRemappedFile(colorMap) {
+
+    if (!this.file) {
+      throw new Error('Template does not have a source image to remap');
+    }
+
+    const bitmap = await createImageBitmap(this.file);
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(bitmap, 0, 0);
+
+    const { imageData, changedPixels } = remapImageData(context.getImageData(0, 0, bitmap.width, bitmap.height), colorMap);
+    context.putImageData(imageData, 0, 0);
+
+    return { file: await canvas.convertToBlob({ type: 'image/png' }), changedPixels };
+  }
+
+  /** Sums the progress of every chunk that has been compared against the canvas.
+   * Pixels on tiles that have not been loaded yet are counted as unseen.
+   * @returns {{correct: number, missing: number, wrong: number, unseen: number, percentage: number}} The progress of the template
+   * @since 0.84.0
+   */
+  getProgress() {
+
+    const progress = { correct: 0, missing: 0, wrong: 0, unseen: 0, percentage: 0 };
+
+    for (const chunkProgress of Object.values(this.chunkedProgress)) {
+      progress.correct += chunkProgress.correct;
+      progress.missing += chunkProgress.missing;
+      progress.wrong += chunkProgress.wrong;
+    }
+
+    // Anything that has not been compared yet is unseen
+    progress.unseen = Math.max(0, this.pixelCount - progress.correct - progress.missing - progress.wrong);
+    progress.percentage = this.pixelCount ? Math.min(100, (progress.correct / this.pixelCount) * 100) : 0;
+
+    return progress;
   }
 }
@@ -5,7 +5,7 @@
  */
 
 import TemplateManager from "./templateManager.js";
-import { escapeHTML, numberToEncoded, serverTPtoDisplayTP } from "./utils.js";
+import { colorpalette, escapeHTML, numberToEncoded, serverTPtoDisplayTP } from "./utils.js";
 
 export default class ApiManager {
 
@@ -18,6 +18,7 @@ export default class ApiManager {
     this.disableAll = false; // Should the entire userscript be disabled?
     this.coordsTilePixel = []; // Contains the last detected tile/pixel coordinate pair requested
     this.templateCoordsTilePixel = []; // Contains the last "enabled" template coords
+    this.inspectionID = 0; // The ID of the last pixel inspection, so older inspections that finish later are ignored
   }
 
   /** Determines if the spontaneously recieved response is something we want.
@@ -99,6 +100,13 @@ export default class ApiManager {
             overlay.updateInnerHTML('bm-input-px', coordsPixel[0] || '');
             overlay.updateInnerHTML('bm-input-py', coordsPixel[1] || '');
           }
+
+          // Selects the color the template expects here, if color assist is enabled
+          if (this.templateManager.colorAssist) {
+            this.selectTemplateColor(overlay, coordsTile, coordsPixel).catch(exception => {
+              overlay.handleDisplayError(`Failed to select the template color: ${exception.message}`);
+            });
+          }
           
           const spanElements = document.querySelectorAll('span'); // Retrieves all span elements
 
@@ -122,6 +130,12 @@ export default class ApiManager {
               }
             }
           }
+
+          // Shows what the templates expect at this pixel, below the coordinates
+          const displayCoords = document.querySelector('#bm-display-coords');
+          if (displayCoords) {
+            this.inspectPixel(displayCoords, coordsTile, coordsPixel);
+          }
           break;
         
         case 'tiles':
@@ -149,4 +163,103 @@ export default class ApiManager {
       }
     });
   }
-}
\ No newline at end of file
+
+  /** Shows which templates cover a pixel, the color each template expects, and the color on the canvas.
+   * The inspector is placed right after the coordinates the userscript adds to the pixel info of the website.
+   * @param {HTMLElement} displayCoords - The element with the coordinates of the pixel
+   * @param {Array<string>} coordsTile - The tile coordinates [x, y]
+   * @param {Array<string>} coordsPixel - The pixel coordinates in the tile [x, y]
+   * @since 0.84.0
+   */
+  async inspectPixel(displayCoords, coordsTile, coordsPixel) {
+
+    const inspectionID = ++this.inspectionID;
+
+    let pixels = [];
+    let canvasPixel = null;
+    try {
+      pixels = await this.templateManager.getTemplatePixels(coordsTile, coordsPixel);
+      canvasPixel = await this.templateManager.getCanvasPixel(coordsTile, coordsPixel);
+    } catch (exception) {
+      console.warn('[BlueMarble] Failed to inspect the pixel:', exception);
+    }
+
+    if (inspectionID != this.inspectionID) {return;} // Another pixel was clicked in the meantime
+
+    let inspector = document.querySelector('#bm-display-inspector');
+    if (!inspector) {
+      inspector = document.createElement('div');
+      inspector.id = 'bm-display-inspector';
+      inspector.style = 'margin-left: calc(var(--spacing)*3); font-size: small;';
+    }
+    displayCoords.insertAdjacentElement('afterend', inspector); // The website might have rebuilt the pixel info
+
+    /** A color swatch, and the name of the color in the palette (or its RGB value if it is not in the palette) */
+    const describeColor = (rgb) => {
+      const name = colorpalette.find((color, index) => index > 0 && color.rgb.join(',') == rgb.join(','))?.name || `rgb(${rgb.join(', ')})`;
+      return `<span style="display: inline-block; width: 0.8em; height: 0.8em; border: 1px solid gray; vertical-align: middle; background-color: rgb(${rgb.join(', ')});"></span> ${escapeHTML(name)}`;
+    };
+
+    const lines = [];
+
+    lines.push(`Canvas: ${!canvasPixel ? '<i>unknown (tile not loaded)</i>' : canvasPixel.isTransparent ? '<i>nothing placed</i>' : describeColor(canvasPixel.rgb)}`);
+
+    if (pixels.length == 0) {
+      lines.push('<i>No enabled template covers this pixel</i>');
+    }
+
+    for (const pixel of pixels) {
+
+      let state = ''; // Whether the canvas matches what the template expects
+      if (pixel.isDeface) {
+        state = '➖ any color';
+      } else if (!canvasPixel) {
+        state = '❔';
+      } else if (canvasPixel.isTransparent) {
+        state = '⬜ missing';
+      } else {
+        state = canvasPixel.rgb.join(',') == pixel.rgb.join(',') ? '✅ matches' : '❌ wrong';
+      }
+
+      lines.push(`<b>${escapeHTML(pixel.template.displayName)}</b>: ${pixel.isDeface ? '#deface' : describeColor(pixel.rgb)} ${state}`);
+    }
+
+    inspector.innerHTML = lines.join('<br>');
+  }
+
+  /** Selects the color the top enabled template expects at a pixel, in the color picker of the website.
+   * The colors of the picker are buttons with the ID "color-N", where N is the index of the color in {@link colorpalette}.
+   * @param {Overlay} overlay - The Overlay class instance
+   * @param {Array<string>} coordsTile - The tile coordinates [x, y]
+   * @param {Array<string>} coordsPixel - The pixel coordinates in the tile [x, y]
+   * @since 0.84.0
+   */
+  async selectTemplateColor(overlay, coordsTile, coordsPixel) {
+
+    // #deface pixels can be any color, so the template below decides
+    const pixel = (await this.templateManager.getTemplatePixels(coordsTile, coordsPixel)).find(pixel => !pixel.isDeface);
+    if (!pixel) {return;} // No template expects anything here
+
+    const colorIndex = colorpalette.findIndex((color, index) => index > 0 && color.rgb.join(',') == pixel.rgb.join(',')); // Index 0 is "Transparent", which shares its RGB with black
+    if (colorIndex < 0) {
+      overlay.handleDisplayError(`"${pixel.template.displayName}" expects rgb(${pixel.rgb.join(', ')}) here, which is not a palette color!`);
+      return;
+    }
+
+    const colorName = colorpalette[colorIndex].name;
+    const colorButton = document.querySelector(`#color-${colorIndex}`);
+
+    if (!colorButton) {
+      overlay.handleDisplayError(`Could not select ${colorName}.\nIs the color picker open?`);
+      return;
+    }
+
+    if (colorButton.disabled) {
+      overlay.handleDisplayError(`"${pixel.template.displayName}" expects ${colorName} here, which you do not own!`);
+      return;
+    }
+
+    colorButton.click();
+    overlay.handleDisplayStatus(`Selected ${colorName} for "${pixel.template.displayName}"`);
+  }
+}
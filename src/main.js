@@ -6,7 +6,7 @@ import Overlay from './Overlay.js';
 import Observers from './observers.js';
 import ApiManager from './apiManager.js';
 import TemplateManager from './templateManager.js';
-import { consoleLog, consoleWarn } from './utils.js';
+import { colorpalette, consoleLog, consoleWarn, escapeHTML, quantizeImageData, remapImageData } from './utils.js';
 
 const name = GM_info.script.name.toString(); // Name of userscript
 const version = GM_info.script.version.toString(); // Version of userscript
@@ -158,7 +158,7 @@ inject(() => {
 });
 
 // Imports the CSS directly embedded (minified for size)
-const cssOverlay = `#bm-overlay{position:fixed;background-color:rgba(21,48,99,0.9);color:white;padding:10px;border-radius:8px;z-index:9000;transition:all 0.3s ease,transform 0s;max-width:300px;width:auto;will-change:transform;backface-visibility:hidden;-webkit-backface-visibility:hidden;transform-style:preserve-3d;-webkit-transform-style:preserve-3d}#bm-contain-userinfo,#bm-overlay hr,#bm-contain-automation,#bm-contain-buttons-action{transition:opacity 0.2s ease,height 0.2s ease}div#bm-overlay{font-family:'Roboto Mono','Courier New','Monaco','DejaVu Sans Mono',monospace,'Arial';letter-spacing:0.05em}#bm-bar-drag{margin-bottom:0.5em;background:url('data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" width="5" height="5"><circle cx="3" cy="3" r="1.5" fill="CornflowerBlue" /></svg>') repeat;cursor:grab;width:100%;height:1em;transition:margin-bottom 0.2s ease}#bm-bar-drag.dragging{cursor:grabbing;pointer-events:auto}#bm-overlay:has(#bm-bar-drag.dragging){pointer-events:none;user-select:none;-webkit-user-select:none;-moz-user-select:none;-ms-user-select:none}#bm-contain-header{margin-bottom:0.5em}#bm-contain-header[style*="text-align: center"]{display:flex;flex-direction:column;align-items:center;justify-content:center}#bm-overlay[style*="padding: 5px"]{width:auto!important;max-width:300px;min-width:200px}#bm-overlay img{display:inline-block;height:2.5em;margin-right:1ch;vertical-align:middle;transition:opacity 0.2s ease}#bm-contain-header[style*="text-align: center"] img{margin-right:0;margin-left:0;display:block;margin:0 auto}#bm-overlay h1{display:inline-block;font-size:x-large;font-weight:bold;vertical-align:middle}#bm-contain-automation input[type="checkbox"]{vertical-align:middle;margin-right:0.5ch}#bm-contain-automation label{margin-right:0.5ch}.bm-help{border:white 1px solid;height:1.5em;width:1.5em;margin-top:2px;text-align:center;line-height:1em;padding:0!important}#bm-button-coords{vertical-align:middle}#bm-button-coords svg{width:50%;margin:0 auto;fill:#111}#bm-coords-container{display:flex;gap:0.5ch;align-items:center}#bm-button-auto-coords{background-color:#666;font-size:0.7em;padding:0.1em 0.3em;border-radius:0.5em;transition:background-color 0.2s ease}#bm-button-auto-coords.active{background-color:#4CAF50}#bm-button-auto-coords:hover{background-color:#777}#bm-button-auto-coords.active:hover{background-color:#45a049}#bm-button-dark-theme{background-color:#444!important;border:1px solid #666!important;transition:all 0.2s ease}#bm-button-dark-theme.active{background-color:#1a1a1a!important;border-color:#888!important}#bm-button-dark-theme:hover{background-color:#555!important}#bm-button-dark-theme.active:hover{background-color:#333!important}div:has(> #bm-button-teleport){display:flex;gap:0.5ch}#bm-button-favorite svg,#bm-button-template svg{height:1em;margin:0 auto;margin-top:2px;text-align:center;line-height:1em;vertical-align:bottom}#bm-contain-coords input[type="number"]{appearance:auto;-moz-appearance:textfield;width:5.5ch;margin-left:1ch;background-color:rgba(0,0,0,0.2);padding:0 0.5ch;font-size:small}#bm-contain-coords input[type="number"]::-webkit-outer-spin-button,#bm-contain-coords input[type="number"]::-webkit-inner-spin-button{-webkit-appearance:none;margin:0}#bm-contain-buttons-template{display:grid;grid-template-columns:1fr 1fr;gap:0.5em;align-items:center}#bm-button-manage{grid-column:1/-1;margin-bottom:0.5em}div:has(> #bm-input-file-template) > button{width:100%;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}#bm-input-file-template,input[type="file"][id*="template"]{display:none!important;visibility:hidden!important;position:absolute!important;left:-9999px!important;top:-9999px!important;width:0!important;height:0!important;opacity:0!important;z-index:-9999!important;pointer-events:none!important}#bm-output-status{font-size:small;background-color:rgba(0,0,0,0.2);padding:0 0.5ch;height:3.75em;width:100%}#bm-contain-buttons-action{display:flex;justify-content:space-between}#bm-overlay small{font-size:x-small;color:lightgray}#bm-contain-userinfo,#bm-contain-automation,#bm-contain-coords,#bm-contain-buttons-template,div:has(> #bm-input-file-template),#bm-output-status{margin-top:0.5em}#bm-overlay button{background-color:#144eb9;border-radius:1em;padding:0 0.75ch}#bm-overlay button:hover,#bm-overlay button:focus-visible{background-color:#1061e5}#bm-overlay button:active,#bm-overlay button:disabled{background-color:#2e97ff}#bm-overlay button:disabled{text-decoration:line-through}#bm-template-manager{position:fixed;background-color:rgba(21,48,99,0.95);color:white;padding:15px;border-radius:8px;z-index:9001;max-width:450px;min-width:400px;max-height:80vh;overflow:hidden;font-family:'Roboto Mono','Courier New','Monaco','DejaVu Sans Mono',monospace,'Arial';letter-spacing:0.05em;box-shadow:0 4px 20px rgba(0,0,0,0.3);transition:all 0.3s ease,transform 0s;will-change:transform;backface-visibility:hidden;-webkit-backface-visibility:hidden;transform-style:preserve-3d;-webkit-transform-style:preserve-3d}#bm-template-drag{margin-bottom:0.5em;background:url('data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" width="5" height="5"><circle cx="3" cy="3" r="1.5" fill="CornflowerBlue" /></svg>') repeat;cursor:grab;width:100%;height:1em}#bm-template-drag.dragging{cursor:grabbing}#bm-template-controls{display:flex;gap:0.5em;margin-bottom:1em}#bm-template-controls button{flex:1;background-color:#144eb9;border-radius:1em;padding:0.5em;font-size:0.9em}#bm-template-controls button:hover{background-color:#1061e5}#bm-template-list{max-height:300px;overflow-y:auto;scrollbar-width:thin;scrollbar-color:#144eb9 rgba(0,0,0,0.2)}#bm-template-list::-webkit-scrollbar{width:8px}#bm-template-list::-webkit-scrollbar-track{background:rgba(0,0,0,0.2);border-radius:4px}#bm-template-list::-webkit-scrollbar-thumb{background:#144eb9;border-radius:4px}#bm-template-list::-webkit-scrollbar-thumb:hover{background:#1061e5}.bm-template-item{transition:all 0.2s ease}.bm-template-item:hover{background-color:rgba(0,0,0,0.35)!important;transform:translateX(2px)}#bm-template-stats{font-size:0.9em;color:#ccc}#bm-template-stats p{margin:0.25em 0}#bm-template-close{background-color:#d32f2f!important;color:white;border:none;width:30px;height:30px;display:flex;align-items:center;justify-content:center;font-weight:bold}#bm-template-close:hover{background-color:#f44336!important}body.bm-dark-theme{background-color:#1a1a1a!important;color:#e0e0e0!important;color-scheme:dark!important;--color-base-100:rgb(26,26,26)!important;--color-base-200:oklch(15% .011 259.822)!important;--color-base-300:oklch(20% .016 262.751)!important;--color-base-content:oklch(85% .053 255.824)!important;--color-primary:oklch(65% .255 257.57)!important;--color-primary-content:oklch(15% .051 257.57)!important;--color-secondary:oklch(50% .161 282.339)!important;--color-secondary-content:oklch(20% .032 282.339)!important;--color-accent:oklch(70% .191 335.171)!important;--color-accent-content:oklch(15% .038 335.171)!important;--color-neutral:oklch(80% .063 257.651)!important;--color-neutral-content:oklch(25% .012 257.651)!important;--color-info:oklch(70% .085 214.515)!important;--color-info-content:oklch(15% .017 214.515)!important;--color-success:oklch(65% .077 197.823)!important;--color-success-content:oklch(15% .015 197.823)!important;--color-warning:oklch(75% .045 71.47)!important;--color-warning-content:oklch(15% .009 71.47)!important;--color-error:oklch(65% .11 20.076)!important;--color-error-content:oklch(15% .022 20.076)!important}body.bm-dark-theme *{color:#e0e0e0!important}body.bm-dark-theme .navbar,body.bm-dark-theme .navbar-brand,body.bm-dark-theme .nav-link{background-color:#2d2d2d!important;border-color:#444!important}body.bm-dark-theme .btn{background-color:#444!important;border-color:#666!important;color:#e0e0e0!important}body.bm-dark-theme .btn:hover{background-color:#555!important}body.bm-dark-theme .card,body.bm-dark-theme .modal-content{background-color:#2d2d2d!important;border-color:#444!important}body.bm-dark-theme input,body.bm-dark-theme select,body.bm-dark-theme textarea{background-color:#333!important;border-color:#555!important;color:#e0e0e0!important}body.bm-dark-theme .bg-light{background-color:#333!important}body.bm-dark-theme .text-dark{color:#e0e0e0!important}body.bm-dark-theme .border{border-color:#444!important}body.bm-dark-theme .container,body.bm-dark-theme .row,body.bm-dark-theme .col{background-color:transparent!important}#bm-template-info{position:fixed;background-color:rgba(21,48,99,0.98);color:white;padding:20px;border-radius:10px;z-index:9002;max-width:600px;min-width:500px;max-height:85vh;overflow-y:auto;font-family:'Roboto Mono','Courier New','Monaco','DejaVu Sans Mono',monospace,'Arial';letter-spacing:0.05em;box-shadow:0 6px 30px rgba(0,0,0,0.4);transition:all 0.3s ease}#bm-template-info .info-header{display:flex;justify-content:space-between;align-items:center;margin-bottom:1em;border-bottom:1px solid rgba(255,255,255,0.3);padding-bottom:0.5em}#bm-template-info .info-preview{text-align:center;margin:1em 0;background:rgba(0,0,0,0.3);border-radius:6px;padding:1em}#bm-template-info .info-preview canvas{max-width:100%;max-height:200px;border:1px solid #666;border-radius:4px;image-rendering:pixelated}#bm-template-info .info-section{margin:1em 0;padding:0.75em;background:rgba(0,0,0,0.2);border-radius:6px}#bm-template-info .info-section h4{margin:0 0 0.5em 0;color:#87CEEB;font-size:1em}#bm-template-info .color-grid{display:grid;grid-template-columns:repeat(auto-fill,minmax(120px,1fr));gap:0.5em;margin-top:0.5em}#bm-template-info .color-item{display:flex;align-items:center;gap:0.5em;padding:0.3em;background:rgba(255,255,255,0.1);border-radius:3px}#bm-template-info .color-swatch{width:20px;height:20px;border-radius:3px;border:1px solid #666;flex-shrink:0}#bm-template-info .color-info{font-size:0.8em;flex:1;min-width:0}#bm-template-info .info-stats{display:grid;grid-template-columns:1fr 1fr;gap:1em}#bm-template-info .stat-item{text-align:center;padding:0.5em;background:rgba(255,255,255,0.1);border-radius:4px}#bm-template-info .stat-value{font-size:1.2em;font-weight:bold;color:#87CEEB}#bm-template-info .stat-label{font-size:0.8em;opacity:0.8}#bm-template-info input[type="number"]{appearance:textfield;-moz-appearance:textfield}#bm-template-info input[type="number"]::-webkit-outer-spin-button,#bm-template-info input[type="number"]::-webkit-inner-spin-button{-webkit-appearance:none;margin:0}#bm-template-info button:hover{opacity:0.8;transform:translateY(-1px)}`;
+const cssOverlay = `#bm-overlay{position:fixed;background-color:rgba(21,48,99,0.9);color:white;padding:10px;border-radius:8px;z-index:9000;transition:all 0.3s ease,transform 0s;max-width:300px;width:auto;will-change:transform;backface-visibility:hidden;-webkit-backface-visibility:hidden;transform-style:preserve-3d;-webkit-transform-style:preserve-3d}#bm-contain-userinfo,#bm-overlay hr,#bm-contain-automation,#bm-contain-buttons-action{transition:opacity 0.2s ease,height 0.2s ease}div#bm-overlay{font-family:'Roboto Mono','Courier New','Monaco','DejaVu Sans Mono',monospace,'Arial';letter-spacing:0.05em}#bm-bar-drag{margin-bottom:0.5em;background:url('data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" width="5" height="5"><circle cx="3" cy="3" r="1.5" fill="CornflowerBlue" /></svg>') repeat;cursor:grab;width:100%;height:1em;transition:margin-bottom 0.2s ease}#bm-bar-drag.dragging{cursor:grabbing;pointer-events:auto}#bm-overlay:has(#bm-bar-drag.dragging){pointer-events:none;user-select:none;-webkit-user-select:none;-moz-user-select:none;-ms-user-select:none}#bm-contain-header{margin-bottom:0.5em}#bm-contain-header[style*="text-align: center"]{display:flex;flex-direction:column;align-items:center;justify-content:center}#bm-overlay[style*="padding: 5px"]{width:auto!important;max-width:300px;min-width:200px}#bm-overlay img{display:inline-block;height:2.5em;margin-right:1ch;vertical-align:middle;transition:opacity 0.2s ease}#bm-contain-header[style*="text-align: center"] img{margin-right:0;margin-left:0;display:block;margin:0 auto}#bm-overlay h1{display:inline-block;font-size:x-large;font-weight:bold;vertical-align:middle}#bm-contain-automation input[type="checkbox"]{vertical-align:middle;margin-right:0.5ch}#bm-contain-automation label{margin-right:0.5ch}.bm-help{border:white 1px solid;height:1.5em;width:1.5em;margin-top:2px;text-align:center;line-height:1em;padding:0!important}#bm-button-coords{vertical-align:middle}#bm-button-coords svg{width:50%;margin:0 auto;fill:#111}#bm-coords-container{display:flex;gap:0.5ch;align-items:center}#bm-button-auto-coords,#bm-button-color-assist{background-color:#666;font-size:0.7em;padding:0.1em 0.3em;border-radius:0.5em;transition:background-color 0.2s ease}#bm-button-auto-coords.active,#bm-button-color-assist.active{background-color:#4CAF50}#bm-button-auto-coords:hover,#bm-button-color-assist:hover{background-color:#777}#bm-button-auto-coords.active:hover,#bm-button-color-assist.active:hover{background-color:#45a049}#bm-button-dark-theme{background-color:#444!important;border:1px solid #666!important;transition:all 0.2s ease}#bm-button-dark-theme.active{background-color:#1a1a1a!important;border-color:#888!important}#bm-button-dark-theme:hover{background-color:#555!important}#bm-button-dark-theme.active:hover{background-color:#333!important}div:has(> #bm-button-teleport){display:flex;gap:0.5ch}#bm-button-favorite svg,#bm-button-template svg{height:1em;margin:0 auto;margin-top:2px;text-align:center;line-height:1em;vertical-align:bottom}#bm-contain-coords input[type="number"]{appearance:auto;-moz-appearance:textfield;width:5.5ch;margin-left:1ch;background-color:rgba(0,0,0,0.2);padding:0 0.5ch;font-size:small}#bm-contain-coords input[type="number"]::-webkit-outer-spin-button,#bm-contain-coords input[type="number"]::-webkit-inner-spin-button{-webkit-appearance:none;margin:0}#bm-contain-buttons-template{display:grid;grid-template-columns:1fr 1fr;gap:0.5em;align-items:center}#bm-button-manage{grid-column:1/-1;margin-bottom:0.5em}div:has(> #bm-input-file-template) > button{width:100%;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}#bm-input-file-template,input[type="file"][id*="template"]{display:none!important;visibility:hidden!important;position:absolute!important;left:-9999px!important;top:-9999px!important;width:0!important;height:0!important;opacity:0!important;z-index:-9999!important;pointer-events:none!important}#bm-output-status{font-size:small;background-color:rgba(0,0,0,0.2);padding:0 0.5ch;height:3.75em;width:100%}#bm-contain-buttons-action{display:flex;justify-content:space-between}#bm-overlay small{font-size:x-small;color:lightgray}#bm-contain-userinfo,#bm-contain-automation,#bm-contain-coords,#bm-contain-buttons-template,div:has(> #bm-input-file-template),#bm-output-status{margin-top:0.5em}#bm-overlay button{background-color:#144eb9;border-radius:1em;padding:0 0.75ch}#bm-overlay button:hover,#bm-overlay button:focus-visible{background-color:#1061e5}#bm-overlay button:active,#bm-overlay button:disabled{background-color:#2e97ff}#bm-overlay button:disabled{text-decoration:line-through}#bm-template-manager{position:fixed;background-color:rgba(21,48,99,0.95);color:white;padding:15px;border-radius:8px;z-index:9001;max-width:450px;min-width:400px;max-height:80vh;overflow:hidden;font-family:'Roboto Mono','Courier New','Monaco','DejaVu Sans Mono',monospace,'Arial';letter-spacing:0.05em;box-shadow:0 4px 20px rgba(0,0,0,0.3);transition:all 0.3s ease,transform 0s;will-change:transform;backface-visibility:hidden;-webkit-backface-visibility:hidden;transform-style:preserve-3d;-webkit-transform-style:preserve-3d}#bm-template-drag{margin-bottom:0.5em;background:url('data:image/svg+xml;utf8,<svg xmlns="http://www.w3.org/2000/svg" width="5" height="5"><circle cx="3" cy="3" r="1.5" fill="CornflowerBlue" /></svg>') repeat;cursor:grab;width:100%;height:1em}#bm-template-drag.dragging{cursor:grabbing}#bm-template-controls{display:flex;gap:0.5em;margin-bottom:1em}#bm-template-controls button{flex:1;background-color:#144eb9;border-radius:1em;padding:0.5em;font-size:0.9em}#bm-template-controls button:hover{background-color:#1061e5}#bm-template-list{max-height:300px;overflow-y:auto;scrollbar-width:thin;scrollbar-color:#144eb9 rgba(0,0,0,0.2)}#bm-template-list::-webkit-scrollbar{width:8px}#bm-template-list::-webkit-scrollbar-track{background:rgba(0,0,0,0.2);border-radius:4px}#bm-template-list::-webkit-scrollbar-thumb{background:#144eb9;border-radius:4px}#bm-template-list::-webkit-scrollbar-thumb:hover{background:#1061e5}.bm-template-item{transition:all 0.2s ease}.bm-template-item:hover{background-color:rgba(0,0,0,0.35)!important;transform:translateX(2px)}#bm-template-stats{font-size:0.9em;color:#ccc}#bm-template-stats p{margin:0.25em 0}#bm-template-close{background-color:#d32f2f!important;color:white;border:none;width:30px;height:30px;display:flex;align-items:center;justify-content:center;font-weight:bold}#bm-template-close:hover{background-color:#f44336!important}body.bm-dark-theme{background-color:#1a1a1a!important;color:#e0e0e0!important;color-scheme:dark!important;--color-base-100:rgb(26,26,26)!important;--color-base-200:oklch(15% .011 259.822)!important;--color-base-300:oklch(20% .016 262.751)!important;--color-base-content:oklch(85% .053 255.824)!important;--color-primary:oklch(65% .255 257.57)!important;--color-primary-content:oklch(15% .051 257.57)!important;--color-secondary:oklch(50% .161 282.339)!important;--color-secondary-content:oklch(20% .032 282.339)!important;--color-accent:oklch(70% .191 335.171)!important;--color-accent-content:oklch(15% .038 335.171)!important;--color-neutral:oklch(80% .063 257.651)!important;--color-neutral-content:oklch(25% .012 257.651)!important;--color-info:oklch(70% .085 214.515)!important;--color-info-content:oklch(15% .017 214.515)!important;--color-success:oklch(65% .077 197.823)!important;--color-success-content:oklch(15% .015 197.823)!important;--color-warning:oklch(75% .045 71.47)!important;--color-warning-content:oklch(15% .009 71.47)!important;--color-error:oklch(65% .11 20.076)!important;--color-error-content:oklch(15% .022 20.076)!important}body.bm-dark-theme *{color:#e0e0e0!important}body.bm-dark-theme .navbar,body.bm-dark-theme .navbar-brand,body.bm-dark-theme .nav-link{background-color:#2d2d2d!important;border-color:#444!important}body.bm-dark-theme .btn{background-color:#444!important;border-color:#666!important;color:#e0e0e0!important}body.bm-dark-theme .btn:hover{background-color:#555!important}body.bm-dark-theme .card,body.bm-dark-theme .modal-content{background-color:#2d2d2d!important;border-color:#444!important}body.bm-dark-theme input,body.bm-dark-theme select,body.bm-dark-theme textarea{background-color:#333!important;border-color:#555!important;color:#e0e0e0!important}body.bm-dark-theme .bg-light{background-color:#333!important}body.bm-dark-theme .text-dark{color:#e0e0e0!important}body.bm-dark-theme .border{border-color:#444!important}body.bm-dark-theme .container,body.bm-dark-theme .row,body.bm-dark-theme .col{background-color:transparent!important}#bm-template-info{position:fixed;background-color:rgba(21,48,99,0.98);color:white;padding:20px;border-radius:10px;z-index:9002;max-width:600px;min-width:500px;max-height:85vh;overflow-y:auto;font-family:'Roboto Mono','Courier New','Monaco','DejaVu Sans Mono',monospace,'Arial';letter-spacing:0.05em;box-shadow:0 6px 30px rgba(0,0,0,0.4);transition:all 0.3s ease}#bm-template-info .info-header{display:flex;justify-content:space-between;align-items:center;margin-bottom:1em;border-bottom:1px solid rgba(255,255,255,0.3);padding-bottom:0.5em}#bm-template-info .info-preview{text-align:center;margin:1em 0;background:rgba(0,0,0,0.3);border-radius:6px;padding:1em}#bm-template-info .info-preview canvas{max-width:100%;max-height:200px;border:1px solid #666;border-radius:4px;image-rendering:pixelated}#bm-template-info .info-section{margin:1em 0;padding:0.75em;background:rgba(0,0,0,0.2);border-radius:6px}#bm-template-info .info-section h4{margin:0 0 0.5em 0;color:#87CEEB;font-size:1em}#bm-template-info .color-grid{display:grid;grid-template-columns:repeat(auto-fill,minmax(120px,1fr));gap:0.5em;margin-top:0.5em}#bm-template-info .color-item{display:flex;align-items:center;gap:0.5em;padding:0.3em;background:rgba(255,255,255,0.1);border-radius:3px}#bm-template-info .color-swatch{width:20px;height:20px;border-radius:3px;border:1px solid #666;flex-shrink:0}#bm-template-info .color-info{font-size:0.8em;flex:1;min-width:0}#bm-template-info .info-stats{display:grid;grid-template-columns:1fr 1fr;gap:1em}#bm-template-info .stat-item{text-align:center;padding:0.5em;background:rgba(255,255,255,0.1);border-radius:4px}#bm-template-info .stat-value{font-size:1.2em;font-weight:bold;color:#87CEEB}#bm-template-info .stat-label{font-size:0.8em;opacity:0.8}#bm-template-info input[type="number"]{appearance:textfield;-moz-appearance:textfield}#bm-template-info input[type="number"]::-webkit-outer-spin-button,#bm-template-info input[type="number"]::-webkit-inner-spin-button{-webkit-appearance:none;margin:0}#bm-template-info button:hover{opacity:0.8;transform:translateY(-1px)}`;
 GM_addStyle(cssOverlay);
 
 // Imports the Roboto Mono font family
@@ -181,34 +181,11 @@ const apiManager = new ApiManager(templateManager); // Constructs a new ApiManag
 
 overlayMain.setApiManager(apiManager); // Sets the API manager
 
-let storageTemplates = {};
-try {
-  storageTemplates = JSON.parse(GM_getValue('bmTemplates', '{}')) || {};
-} catch (e) {
-  console.warn('[BlueMarble] Failed to parse GM stored templates:', e);
-  storageTemplates = {};
-}
-
-// If empty, attempt migration from localStorage backup (handles @name changes)
-if (!storageTemplates.templates || Object.keys(storageTemplates.templates || {}).length === 0) {
-  try {
-    const ls = localStorage.getItem('BlueMarbleTemplates');
-    if (ls) {
-      const parsed = JSON.parse(ls);
-      if (parsed && parsed.templates && Object.keys(parsed.templates).length) {
-        console.info('[BlueMarble] Migrating templates from localStorage backup.');
-        storageTemplates = parsed;
-      }
-    }
-  } catch (e) {
-    console.warn('[BlueMarble] Failed localStorage migration attempt:', e);
-  }
-}
-
-console.log(storageTemplates);
 // Ensure templates are imported before we start intercepting tiles
-Promise.resolve(templateManager.importJSON(storageTemplates))
+templateManager.storage.load() // Also moves templates stored by older versions into IndexedDB
+  .then(storageTemplates => templateManager.importJSON(storageTemplates || {}, undefined, true))
   .then(()=>console.info('[BlueMarble] Templates imported'))
+  .then(()=>templateManager.startRemoteRefresh()) // Keeps templates with a URL up to date
   .catch(e=>console.error('[BlueMarble] Template import failed', e));
 
 buildOverlayMain(); // Builds the main overlay
@@ -219,6 +196,7 @@ overlayMain.handleDrag('#bm-overlay', '#bm-bar-drag'); // Creates dragging capab
 apiManager.spontaneousResponseListener(overlayMain); // Reads spontaneous fetch responces
 
 observeBlack(); // Observes the black palette color
+observeColorPicker(); // Observes the color selected in the color picker, for focus mode
 
 // Add keyboard shortcuts for template management
 document.addEventListener('keydown', (event) => {
@@ -243,6 +221,7 @@ document.addEventListener('keydown', (event) => {
           manageButton.style.fontWeight = 'bold';
         }
       } else {
+        hideTemplateDebug();
         if (manageButton) {
           manageButton.style.backgroundColor = '';
           manageButton.style.fontWeight = '';
@@ -270,6 +249,37 @@ document.addEventListener('keydown', (event) => {
       overlayMain.handleDisplayStatus('All templates disabled via keyboard shortcut!');
     }
   }
+
+  // Ctrl+Shift+1 to 9 to switch to a preset
+  if (event.ctrlKey && event.shiftKey && /^Digit[1-9]$/.test(event.code)) {
+    const shortcut = Number(event.code.slice('Digit'.length)); // The key is a symbol (e.g. "!") while Shift is held, so the code is used instead
+    const preset = templateManager?.getPresets().find(preset => preset.shortcut == shortcut);
+    if (preset) {
+      event.preventDefault();
+      templateManager.applyPreset(preset.name).then(enabledCount => {
+        if (window.refreshTemplateList) refreshTemplateList();
+        overlayMain.handleDisplayStatus(`Switched to preset "${preset.name}" (${enabledCount} template${enabledCount == 1 ? '' : 's'} enabled) via keyboard shortcut!`);
+      }).catch(error => {
+        overlayMain.handleDisplayError(`Failed to switch preset: ${error.message}`);
+      });
+    }
+  }
+
+  // Ctrl+Z to undo, and Ctrl+Y (or Ctrl+Shift+Z) to redo, the last template change
+  const isUndo = event.ctrlKey && !event.shiftKey && event.key.toLowerCase() === 'z';
+  const isRedo = event.ctrlKey && (event.key.toLowerCase() === 'y' || (event.shiftKey && event.key.toLowerCase() === 'z'));
+  if (isUndo || isRedo) {
+    const history = templateManager?.getHistory();
+    if (isUndo ? history?.undo : history?.redo) { // Otherwise, the page handles the shortcut
+      event.preventDefault();
+      (isUndo ? templateManager.undo() : templateManager.redo())
+        .then(label => {
+          if (window.refreshTemplateList) refreshTemplateList();
+          overlayMain.handleDisplayStatus(`${isUndo ? 'Undid' : 'Redid'}: ${label}`);
+        })
+        .catch(error => overlayMain.handleDisplayError(`Failed to ${isUndo ? 'undo' : 'redo'}: ${error.message}`));
+    }
+  }
 });
 
 consoleLog(`%c${name}%c (${version}) userscript has loaded!`, 'color: cornflowerblue;', '');
@@ -313,6 +323,342 @@ function observeBlack() {
   observer.observe(document.body, { childList: true, subtree: true });
 }
 
+/** Observe the color picker of the website, so focus mode can follow the selected color.
+ * The colors of the picker are buttons with the ID "color-N", where N is the index of the color in {@link colorpalette}.
+ * @since 0.84.0
+ */
+function observeColorPicker() {
+  document.addEventListener('click', (event) => {
+
+    if (!templateManager.focusFollowsPicker) {return;}
+
+    const color = event.target.closest?.('[id^="color-"]');
+    const colorIndex = Number(color?.id.slice('color-'.length));
+    if (!color || !Number.isInteger(colorIndex) || !colorpalette[colorIndex]) {return;} // Not a color of the picker
+
+    // "Transparent" (the eraser) has no pixels to focus on, so every color is shown
+    templateManager.setFocusColors(colorIndex == 0 ? [] : [colorpalette[colorIndex].rgb]);
+    window.refreshFocusColors?.();
+  }, true); // Before the website handles the click, in case it stops it
+}
+
+/** Shows the import step for a template image.
+ * The image can be converted to the closest colors of the palette, with a before/after preview.
+ * @param {File} file - The image to import
+ * @param {string} confirmText - The text of the confirm button
+ * @param {function(File):void} onConfirm - Called with the image (converted or not) when the user confirms
+ * @since 0.84.0
+ */
+async function showTemplateImport(file, confirmText, onConfirm) {
+
+  // Create modal if it doesn't exist
+  let modal = document.querySelector('#bm-template-import');
+  if (!modal) {
+    modal = document.createElement('div');
+    modal.id = 'bm-template-import';
+    modal.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background-color: rgba(21, 48, 99, 0.98);
+      color: white;
+      padding: 20px;
+      border-radius: 10px;
+      z-index: 9002;
+      max-width: 700px;
+      min-width: 500px;
+      max-height: 85vh;
+      overflow-y: auto;
+      font-family: 'Roboto Mono', 'Courier New', 'Monaco', 'DejaVu Sans Mono', monospace, 'Arial';
+      letter-spacing: 0.05em;
+      box-shadow: 0 6px 30px rgba(0, 0, 0, 0.4);
+    `;
+    document.body.appendChild(modal);
+  }
+
+  const selectStyle = 'padding: 0.3em; background: #333; border: 1px solid #666; color: white; border-radius: 3px;';
+  const previewStyle = 'max-width: 100%; max-height: 250px; border: 1px solid #666; border-radius: 4px; image-rendering: pixelated; background: repeating-conic-gradient(#555 0% 25%, #777 0% 50%) 50% / 16px 16px;';
+
+  modal.innerHTML = `
+    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 1em; border-bottom: 1px solid rgba(255,255,255,0.3); padding-bottom: 0.5em;">
+      <h2 style="margin: 0; color: #fff;">Import Template</h2>
+      <button id="bm-import-close" class="bm-help" style="width: 30px; height: 30px; background: #d32f2f; font-size: 1.2em;">×</button>
+    </div>
+    <div style="display: grid; grid-template-columns: auto 1fr; gap: 0.5em 1em; align-items: center; font-size: 0.9em;">
+      <strong>Color Matching:</strong>
+      <select id="bm-import-metric" style="${selectStyle}">
+        <option value="lab">Closest palette color (CIELAB)</option>
+        <option value="rgb">Closest palette color (RGB)</option>
+        <option value="none">Keep original colors</option>
+      </select>
+      <strong>Dithering:</strong>
+      <select id="bm-import-dither" style="${selectStyle}">
+        <option value="none">None</option>
+        <option value="floyd-steinberg">Floyd–Steinberg</option>
+        <option value="ordered">Ordered (Bayer)</option>
+      </select>
+    </div>
+    <div style="display: grid; grid-template-columns: 1fr 1fr; gap: 1em; margin: 1em 0; text-align: center;">
+      <div>
+        <h4 style="margin: 0 0 0.5em 0; color: #87CEEB;">Before</h4>
+        <canvas id="bm-import-before" style="${previewStyle}"></canvas>
+      </div>
+      <div>
+        <h4 style="margin: 0 0 0.5em 0; color: #87CEEB;">After</h4>
+        <canvas id="bm-import-after" style="${previewStyle}"></canvas>
+      </div>
+    </div>
+    <div id="bm-import-stats" style="font-size: 0.8em; color: #bbb; margin-bottom: 1em;">Loading image...</div>
+    <div style="display: flex; gap: 0.5em;">
+      <button id="bm-import-confirm" style="flex: 1; padding: 0.5em; background: #4CAF50; border: none; color: white; border-radius: 3px; cursor: pointer;"></button>
+      <button id="bm-import-cancel" style="flex: 1; padding: 0.5em; background: #666; border: none; color: white; border-radius: 3px; cursor: pointer;">Cancel</button>
+    </div>
+  `;
+
+  modal.style.display = 'block';
+
+  const metricSelect = document.getElementById('bm-import-metric');
+  const ditherSelect = document.getElementById('bm-import-dither');
+  const canvasBefore = document.getElementById('bm-import-before');
+  const canvasAfter = document.getElementById('bm-import-after');
+  const stats = document.getElementById('bm-import-stats');
+  const confirmButton = document.getElementById('bm-import-confirm');
+  confirmButton.textContent = confirmText;
+
+  document.getElementById('bm-import-close').onclick = () => {modal.style.display = 'none';};
+  document.getElementById('bm-import-cancel').onclick = () => {modal.style.display = 'none';};
+
+  // Draws the original image on the "before" canvas
+  let imageDataOriginal;
+  try {
+    const bitmap = await createImageBitmap(file);
+    canvasBefore.width = canvasAfter.width = bitmap.width;
+    canvasBefore.height = canvasAfter.height = bitmap.height;
+    const contextBefore = canvasBefore.getContext('2d', { willReadFrequently: true });
+    contextBefore.drawImage(bitmap, 0, 0);
+    imageDataOriginal = contextBefore.getImageData(0, 0, bitmap.width, bitmap.height);
+  } catch (exception) {
+    console.error('Failed to load template image:', exception);
+    stats.textContent = 'Could not read the image!';
+    confirmButton.disabled = true;
+    return;
+  }
+
+  // Draws the converted image on the "after" canvas
+  const updatePreview = () => {
+    const contextAfter = canvasAfter.getContext('2d');
+    ditherSelect.disabled = metricSelect.value == 'none';
+
+    if (metricSelect.value == 'none') {
+      contextAfter.putImageData(imageDataOriginal, 0, 0);
+      stats.textContent = 'Original colors are kept. Colors that are not in the palette can not be placed!';
+      return;
+    }
+
+    const { imageData, changedPixels } = quantizeImageData(imageDataOriginal, {
+      metric: metricSelect.value,
+      dither: ditherSelect.value
+    });
+    contextAfter.putImageData(imageData, 0, 0);
+    stats.textContent = `${new Intl.NumberFormat().format(changedPixels)} pixel${changedPixels == 1 ? ' was' : 's were'} changed to the closest palette color.`;
+  };
+
+  metricSelect.onchange = updatePreview;
+  ditherSelect.onchange = updatePreview;
+  updatePreview();
+
+  confirmButton.onclick = () => {
+    modal.style.display = 'none';
+
+    // The original file is used as-is when the colors are kept
+    if (metricSelect.value == 'none') {onConfirm(file); return;}
+
+    canvasAfter.toBlob(blob => {
+      onConfirm(new File([blob], file.name.replace(/\.[^/.]+$/, '') + '.png', { type: 'image/png' }));
+    }, 'image/png');
+  };
+}
+
+/** Asks the user what to do with an imported template, when a template with the same key is already loaded.
+ * @param {string} key - The key of the template (e.g. "6f1c2a9e-3b7d-4c55-9a0e-2d8b1f4c7e31")
+ * @param {Object} loadedTemplate - The JSON object of the loaded template
+ * @param {Object} importedTemplate - The JSON object of the imported template
+ * @returns {Promise<{resolution: string, applyToAll: boolean}>} 'skip', 'overwrite', or 'keep' (keeps both), and whether to do the same for every other conflict
+ * @since 0.84.0
+ */
+function showImportConflict(key, loadedTemplate, importedTemplate) {
+
+  // Create modal if it doesn't exist
+  let modal = document.querySelector('#bm-import-conflict');
+  if (!modal) {
+    modal = document.createElement('div');
+    modal.id = 'bm-import-conflict';
+    modal.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      background-color: rgba(21, 48, 99, 0.98);
+      color: white;
+      padding: 20px;
+      border-radius: 10px;
+      z-index: 9003;
+      max-width: 500px;
+      min-width: 350px;
+      font-family: 'Roboto Mono', 'Courier New', 'Monaco', 'DejaVu Sans Mono', monospace, 'Arial';
+      letter-spacing: 0.05em;
+      box-shadow: 0 6px 30px rgba(0, 0, 0, 0.4);
+    `;
+    document.body.appendChild(modal);
+  }
+
+  const buttonStyle = 'flex: 1; padding: 0.5em; border: none; color: white; border-radius: 3px; cursor: pointer;';
+
+  modal.innerHTML = `
+    <h2 style="margin: 0 0 0.5em 0; color: #fff;">Template Already Exists</h2>
+    <p style="font-size: 0.9em; margin: 0 0 1em 0;">A template with the key <strong>${escapeHTML(key)}</strong> is already loaded.</p>
+    <div style="display: grid; grid-template-columns: auto 1fr; gap: 0.25em 1em; font-size: 0.8em; color: #bbb; margin-bottom: 1em;">
+      <strong>Loaded:</strong><span>${escapeHTML(loadedTemplate?.name || key)} (${escapeHTML(loadedTemplate?.coords || 'no coordinates')})</span>
+      <strong>Imported:</strong><span>${escapeHTML(importedTemplate?.name || key)} (${escapeHTML(importedTemplate?.coords || 'no coordinates')})</span>
+    </div>
+    <label style="display: block; font-size: 0.8em; margin-bottom: 1em;"><input type="checkbox" id="bm-conflict-all"> Do this for every conflict</label>
+    <div style="display: flex; gap: 0.5em;">
+      <button data-resolution="skip" style="${buttonStyle} background: #666;">Skip</button>
+      <button data-resolution="overwrite" style="${buttonStyle} background: #d32f2f;">Overwrite</button>
+      <button data-resolution="keep" style="${buttonStyle} background: #4CAF50;">Keep Both</button>
+    </div>
+  `;
+
+  modal.style.display = 'block';
+
+  return new Promise(resolve => {
+    modal.querySelectorAll('button[data-resolution]').forEach(button => {
+      button.onclick = () => {
+        modal.style.display = 'none';
+        resolve({ resolution: button.dataset.resolution, applyToAll: document.getElementById('bm-conflict-all').checked });
+      };
+    });
+  });
+}
+
+/** Downloads a JSON object as a file.
+ * @param {Object} json - The JSON object to download
+ * @param {string} fileName - The name of the file (e.g. "templates.json")
+ * @since 0.84.0
+ */
+function downloadJSON(json, fileName) {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(json, null, 2)], { type: 'application/json' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 60000); // Destroys the blob 1 minute later
+}
+
+/** Creates the search, filter, and sort controls of a template list.
+ * The controls only change what is shown. Templates are not changed.
+ * @param {function():void} onChange - Called whenever the controls change, so the list can be shown again
+ * @returns {{element: HTMLDivElement, apply: function(Array<Object>):Array<Object>}} The controls, and a function that filters and sorts templates from {@link TemplateManager#getAllTemplates} to match them
+ * @since 0.84.0
+ */
+function createTemplateListFilter(onChange) {
+
+  const inputStyle = 'min-width: 0; padding: 0.2em; background: #333; border: 1px solid #666; color: white; border-radius: 3px; font-size: 0.8em;';
+
+  const element = document.createElement('div');
+  element.className = 'bm-template-filter';
+  element.style.cssText = 'display: grid; grid-template-columns: 1fr 1fr 1fr; gap: 0.3em; margin-bottom: 0.5em;';
+
+  const search = document.createElement('input');
+  search.type = 'search';
+  search.placeholder = '🔍 Search name, ID, or author...';
+  search.style.cssText = `${inputStyle} grid-column: 1 / -1;`;
+
+  const filter = document.createElement('select');
+  filter.title = 'Show only...';
+  filter.style.cssText = inputStyle;
+  for (const [value, label] of [['all', 'All'], ['enabled', 'Enabled'], ['disabled', 'Disabled'], ['view', 'In view'], ['completed', 'Completed'], ['incomplete', 'Not completed']]) {
+    filter.add(new Option(label, value));
+  }
+
+  const group = document.createElement('select');
+  group.title = 'Show only the templates in a group';
+  group.style.cssText = inputStyle;
+
+  const sort = document.createElement('select');
+  sort.title = 'Sort by...';
+  sort.style.cssText = inputStyle;
+  for (const [value, label] of [['layer', 'Layer'], ['name', 'Name'], ['pixels', 'Pixels'], ['created', 'Newest'], ['progress', 'Progress'], ['distance', 'Distance']]) {
+    sort.add(new Option(label, value));
+  }
+
+  search.oninput = onChange;
+  filter.onchange = onChange;
+  group.onchange = onChange;
+  sort.onchange = onChange;
+
+  element.append(search, filter, group, sort);
+
+  /** Lists the groups again, since they can change at any time */
+  const updateGroups = () => {
+    const groupSelected = group.value;
+    const groupNames = templateManager.getTemplateGroups().map(item => item.name);
+    group.innerHTML = '';
+    group.add(new Option('Any group', '*'));
+    group.add(new Option('No group', ''));
+    groupNames.forEach(groupName => group.add(new Option(`📁 ${groupName}`, groupName)));
+    group.value = groupSelected && [...group.options].some(option => option.value == groupSelected) ? groupSelected : '*';
+  };
+  updateGroups();
+
+  /** The distance, in pixels, from the top left corner of a template to the coordinates clicked last */
+  const getDistance = (template) => {
+    const clicked = apiManager.coordsTilePixel;
+    const coords = String(template.coords).split(',').map(Number);
+    if (clicked?.length !== 4 || coords.length !== 4) {return Infinity;}
+    return Math.hypot(
+      (coords[0] * 1000 + coords[2]) - (clicked[0] * 1000 + clicked[2]),
+      (coords[1] * 1000 + coords[3]) - (clicked[1] * 1000 + clicked[3])
+    );
+  };
+
+  const isCompleted = (template) => (template.progress?.percentage || 0) >= 100;
+
+  const comparators = {
+    layer: (a, b) => b.sortID - a.sortID, // Top layer first
+    name: (a, b) => String(a.name).localeCompare(String(b.name), undefined, { numeric: true }),
+    pixels: (a, b) => b.pixelCount - a.pixelCount, // Largest first
+    created: (a, b) => (b.createdAt || 0) - (a.createdAt || 0), // Newest first. Templates older than creation dates are last
+    progress: (a, b) => (b.progress?.percentage || 0) - (a.progress?.percentage || 0), // Most complete first
+    distance: (a, b) => getDistance(a) - getDistance(b) // Nearest first
+  };
+
+  const apply = (templates) => {
+
+    updateGroups();
+
+    const searchText = search.value.trim().toLowerCase();
+
+    return templates
+      .filter(template => !searchText || [template.name, template.key, template.authorID].some(text => String(text || '').toLowerCase().includes(searchText)))
+      .filter(template => {
+        switch (filter.value) {
+          case 'enabled': return template.enabled;
+          case 'disabled': return !template.enabled;
+          case 'view': return template.isInView;
+          case 'completed': return isCompleted(template);
+          case 'incomplete': return !isCompleted(template);
+          default: return true;
+        }
+      })
+      .filter(template => group.value == '*' || template.group == group.value)
+      .sort((a, b) => comparators[sort.value](a, b) || comparators.layer(a, b)); // Ties are in layer order
+  };
+
+  return { element, apply };
+}
+
 /** Deploys the overlay to the page with minimize/maximize functionality.
  * Creates a responsive overlay UI that can toggle between full-featured and minimized states.
  * 
@@ -353,6 +699,7 @@ function buildOverlayMain() {
             const coordsContainer = document.querySelector('#bm-contain-coords');
             const coordsButton = document.querySelector('#bm-button-coords');
             const autoCoordsButton = document.querySelector('#bm-button-auto-coords');
+            const colorAssistButton = document.querySelector('#bm-button-color-assist');
             const manageButton = document.querySelector('#bm-button-manage');
             const createButton = document.querySelector('#bm-button-create');
             const enableButton = document.querySelector('#bm-button-enable');
@@ -407,6 +754,11 @@ function buildOverlayMain() {
               if (autoCoordsButton) {
                 autoCoordsButton.style.display = 'none';
               }
+
+              // Hide color assist button
+              if (colorAssistButton) {
+                colorAssistButton.style.display = 'none';
+              }
               
               // Hide manage templates button
               if (manageButton) {
@@ -480,6 +832,11 @@ function buildOverlayMain() {
               if (autoCoordsButton) {
                 autoCoordsButton.style.display = '';
               }
+
+              // Restore color assist button visibility
+              if (colorAssistButton) {
+                colorAssistButton.style.display = '';
+              }
               
               // Restore manage templates button visibility
               if (manageButton) {
@@ -605,6 +962,31 @@ function buildOverlayMain() {
               };
             }
           ).buildElement()
+          .addButton({'id': 'bm-button-color-assist', 'textContent': '🎨', 'title': 'Toggle selecting the color a template expects when clicking the map'},
+            (instance, button) => {
+              // Initialize button state
+              const updateButtonState = () => {
+                if (instance.apiManager?.templateManager?.colorAssist) {
+                  button.classList.add('active');
+                  button.title = 'Color assist ON - the color a template expects is selected when clicking the map';
+                } else {
+                  button.classList.remove('active');
+                  button.title = 'Color assist OFF - click to select the color a template expects when clicking the map';
+                }
+              };
+
+              updateButtonState();
+
+              button.onclick = () => {
+                if (instance.apiManager?.templateManager) {
+                  instance.apiManager.templateManager.colorAssist = !instance.apiManager.templateManager.colorAssist;
+                  updateButtonState();
+                  const status = instance.apiManager.templateManager.colorAssist ? 'enabled' : 'disabled';
+                  instance.handleDisplayStatus(`Color assist ${status}!`);
+                }
+              };
+            }
+          ).buildElement()
         .buildElement()
         .addInput({'type': 'number', 'id': 'bm-input-tx', 'placeholder': 'Tl X', 'min': 0, 'max': 2047, 'step': 1, 'required': true}).buildElement()
         .addInput({'type': 'number', 'id': 'bm-input-ty', 'placeholder': 'Tl Y', 'min': 0, 'max': 2047, 'step': 1, 'required': true}).buildElement()
@@ -640,6 +1022,7 @@ function buildOverlayMain() {
                     <h3 style="margin: 0; font-size: 1em;">Templates</h3>
                     <button id="bm-template-inline-close" style="background: #d32f2f; width: 25px; height: 25px; border-radius: 50%; display: flex; align-items: center; justify-content: center; font-size: 0.9em;">×</button>
                   </div>
+                  <div id="bm-template-inline-filter"></div>
                   <div id="bm-template-inline-list" style="max-height: 200px; overflow-y: auto; margin-bottom: 0.5em;"></div>
                   <div style="display: flex; gap: 0.5em; font-size: 0.8em;">
                     <button id="bm-inline-enable-all" style="flex: 1; padding: 0.3em;">Enable All</button>
@@ -647,6 +1030,9 @@ function buildOverlayMain() {
                   </div>
                 `;
                 mainOverlay.appendChild(inlineDiv);
+
+                const inlineListFilter = createTemplateListFilter(() => updateInlineList());
+                document.querySelector('#bm-template-inline-filter').appendChild(inlineListFilter.element);
                 
                 // Add event listeners
                 document.querySelector('#bm-template-inline-close').onclick = () => {
@@ -676,36 +1062,46 @@ function buildOverlayMain() {
                     inlineList.innerHTML = '<p style="text-align: center; color: #888; margin: 1em 0; font-size: 0.8em;">No templates</p>';
                     return;
                   }
+
+                  const templatesShown = inlineListFilter.apply(templates);
+                  if (templatesShown.length === 0) {
+                    inlineList.innerHTML = '<p style="text-align: center; color: #888; margin: 1em 0; font-size: 0.8em;">No templates match the search</p>';
+                    return;
+                  }
                   
-                  inlineList.innerHTML = templates.map(template => `
+                  inlineList.innerHTML = templatesShown.map(template => `
                     <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.3em; margin: 0.2em 0; background: rgba(0,0,0,0.2); border-radius: 3px; border-left: 2px solid ${template.enabled ? '#4CAF50' : '#f44336'};">
                       <div style="flex: 1; min-width: 0;">
-                        <div style="font-size: 0.8em; font-weight: bold; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; color: ${template.enabled ? '#fff' : '#999'};">${template.name}</div>
-                        <div style="font-size: 0.7em; color: #bbb;">${template.coords}</div>
+                        <div style="font-size: 0.8em; font-weight: bold; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; color: ${template.enabled ? '#fff' : '#999'};">${escapeHTML(template.name)}</div>
+                        <div style="font-size: 0.7em; color: #bbb;">${escapeHTML(template.coords)}</div>
+                        <div style="font-size: 0.7em; color: #bbb;">${formatTemplateProgress(template.progress)}</div>
                       </div>
                       <div style="display: flex; gap: 0.2em;">
-                        <button onclick="toggleInlineTemplate('${template.key}', ${!template.enabled})" style="width: 25px; height: 25px; font-size: 0.8em; background: ${template.enabled ? '#4CAF50' : '#666'};">${template.enabled ? '👁️' : '👁️‍🗨️'}</button>
-                        <button onclick="deleteInlineTemplate('${template.key}', '${template.name}')" style="width: 25px; height: 25px; font-size: 0.8em; background: #d32f2f;">🗑️</button>
+                        <button class="bm-inline-toggle" data-key="${escapeHTML(template.key)}" style="width: 25px; height: 25px; font-size: 0.8em; background: ${template.enabled ? '#4CAF50' : '#666'};">${template.enabled ? '👁️' : '👁️‍🗨️'}</button>
+                        <button class="bm-inline-delete" data-key="${escapeHTML(template.key)}" style="width: 25px; height: 25px; font-size: 0.8em; background: #d32f2f;">🗑️</button>
                       </div>
                     </div>
                   `).join('');
                 };
-                
-                // Global functions for inline template management
-                window.toggleInlineTemplate = async (key, enabled) => {
-                  await instance.apiManager?.templateManager?.toggleTemplate(key, enabled);
+
+                // Toggles, or deletes, the template of the button that was clicked
+                document.querySelector('#bm-template-inline-list').onclick = async (event) => {
+                  const actionButton = event.target.closest('button[data-key]');
+                  const templates = instance.apiManager?.templateManager?.getAllTemplates() || [];
+                  const template = templates.find(template => template.key === actionButton?.dataset.key);
+                  if (!template) {return;}
+
+                  if (actionButton.classList.contains('bm-inline-toggle')) {
+                    await instance.apiManager?.templateManager?.toggleTemplate(template.key, !template.enabled);
+                  } else if (actionButton.classList.contains('bm-inline-delete')) {
+                    if (!confirm(`Delete "${template.name}"?`)) {return;}
+                    await instance.apiManager?.templateManager?.deleteTemplate(template.key);
+                  }
+
                   updateInlineList();
                   updateButtonText();
                 };
                 
-                window.deleteInlineTemplate = async (key, name) => {
-                  if (confirm(`Delete "${name}"?`)) {
-                    await instance.apiManager?.templateManager?.deleteTemplate(key);
-                    updateInlineList();
-                    updateButtonText();
-                  }
-                };
-                
                 updateInlineList();
                 button.style.backgroundColor = '#2e97ff';
                 button.style.fontWeight = 'bold';
@@ -726,6 +1122,7 @@ function buildOverlayMain() {
               button.style.backgroundColor = '#2e97ff';
               button.style.fontWeight = 'bold';
             } else {
+              hideTemplateDebug();
               button.style.backgroundColor = '';
               button.style.fontWeight = '';
             }
@@ -759,19 +1156,26 @@ function buildOverlayMain() {
             // Kills itself if there is no file
             if (!input?.files[0]) {instance.handleDisplayError(`No file selected!`); return;}
 
-            templateManager.createTemplate(input.files[0], input.files[0]?.name.replace(/\.[^/.]+$/, ''), [Number(coordTlX.value), Number(coordTlY.value), Number(coordPxX.value), Number(coordPxY.value)]);
+            const coords = [Number(coordTlX.value), Number(coordTlY.value), Number(coordPxX.value), Number(coordPxY.value)];
+            const templateName = input.files[0]?.name.replace(/\.[^/.]+$/, '');
 
-            // Refresh template list if manager is open
-            setTimeout(() => {
-              if (window.refreshTemplateList) refreshTemplateList();
-            }, 100); // Small delay to ensure template is fully created
+            // Lets the user convert the image to the palette before the template is created
+            showTemplateImport(input.files[0], 'Create Template', (file) => {
 
-            instance.handleDisplayStatus(`Template created!`);
-            
-            // Clear the form for easier multi-template creation
-            input.value = '';
-            const uploadButton = input.parentElement.querySelector('button');
-            if (uploadButton) uploadButton.textContent = 'Upload Template';
+              templateManager.createTemplate(file, templateName, coords);
+
+              // Refresh template list if manager is open
+              setTimeout(() => {
+                if (window.refreshTemplateList) refreshTemplateList();
+              }, 100); // Small delay to ensure template is fully created
+
+              instance.handleDisplayStatus(`Template created!`);
+
+              // Clear the form for easier multi-template creation
+              input.value = '';
+              const uploadButton = input.parentElement.querySelector('button');
+              if (uploadButton) uploadButton.textContent = 'Upload Template';
+            });
             
             // Optionally clear coordinates (user might want to keep them for multiple templates at same location)
             // coordTlX.value = '';
@@ -788,6 +1192,68 @@ function buildOverlayMain() {
           }
         }).buildElement()
       .buildElement()
+      .addDiv({'id': 'bm-contain-presets', 'style': 'display: flex; gap: 0.5ch; align-items: center; margin-top: 0.5em;'}, (instance, div) => {
+        const select = document.createElement('select');
+        select.id = 'bm-select-preset';
+        select.title = 'Switch to a preset of enabled templates (Ctrl+Shift+1 to 9)';
+        select.style.cssText = 'flex: 1; min-width: 0; background-color: rgba(0,0,0,0.2); color: white; border-radius: 1em; padding: 0 0.5ch; font-size: small;';
+
+        // Lists the presets again, since they can change at any time (e.g. when templates are imported)
+        window.refreshPresetList = () => {
+          const presets = instance.apiManager?.templateManager?.getPresets() || [];
+          select.innerHTML = '';
+          select.add(new Option(presets.length > 0 ? 'Presets...' : 'No presets saved', ''));
+          for (const preset of presets) {
+            select.add(new Option(`${preset.shortcut ? `${preset.shortcut}: ` : ''}${preset.name} (${preset.enabledCount})`, preset.name));
+          }
+        };
+        window.refreshPresetList();
+
+        select.onfocus = () => window.refreshPresetList();
+        select.onchange = async () => {
+          const name = select.value;
+          if (!name) {return;}
+          try {
+            const enabledCount = await instance.apiManager?.templateManager?.applyPreset(name);
+            if (window.refreshTemplateList) refreshTemplateList();
+            instance.handleDisplayStatus(`Switched to preset "${name}" (${enabledCount} template${enabledCount == 1 ? '' : 's'} enabled)!`);
+          } catch (error) {
+            instance.handleDisplayError(`Failed to switch preset: ${error.message}`);
+          }
+          select.value = '';
+        };
+
+        div.appendChild(select);
+      })
+        .addButton({'id': 'bm-button-preset-save', 'className': 'bm-help', 'innerHTML': '💾', 'title': 'Save the enabled templates as a preset'}, (instance, button) => {
+          button.onclick = async () => {
+            const name = prompt('Name of the preset (an existing preset with the same name is replaced):')?.trim();
+            if (!name) {return;}
+            try {
+              const { shortcut } = await instance.apiManager?.templateManager?.savePreset(name);
+              window.refreshPresetList?.();
+              instance.handleDisplayStatus(`Saved preset "${name}"!${shortcut ? ` Switch to it with Ctrl+Shift+${shortcut}` : ''}`);
+            } catch (error) {
+              instance.handleDisplayError(`Failed to save preset: ${error.message}`);
+            }
+          }
+        }).buildElement()
+        .addButton({'id': 'bm-button-preset-delete', 'className': 'bm-help', 'innerHTML': '🗑️', 'title': 'Delete a preset'}, (instance, button) => {
+          button.onclick = async () => {
+            const presets = instance.apiManager?.templateManager?.getPresets() || [];
+            if (presets.length == 0) {instance.handleDisplayError('There are no presets to delete!'); return;}
+            const name = prompt(`Name of the preset to delete:\n\nPresets: ${presets.map(preset => preset.name).join(', ')}`)?.trim();
+            if (!name || !presets.some(preset => preset.name == name)) {return;}
+            try {
+              await instance.apiManager?.templateManager?.deletePreset(name);
+              window.refreshPresetList?.();
+              instance.handleDisplayStatus(`Deleted preset "${name}"!`);
+            } catch (error) {
+              instance.handleDisplayError(`Failed to delete preset: ${error.message}`);
+            }
+          }
+        }).buildElement()
+      .buildElement()
       .addTextarea({'id': overlayMain.outputStatusId, 'placeholder': `Status: Sleeping...\nVersion: ${version}`, 'readOnly': true}).buildElement()
       .addDiv({'id': 'bm-contain-buttons-action'})
         .addDiv()
@@ -797,7 +1263,19 @@ function buildOverlayMain() {
           .addButton({'id': 'bm-button-convert', 'className': 'bm-help', 'innerHTML': '🎨', 'title': 'Template Color Converter'}, 
             (instance, button) => {
             button.addEventListener('click', () => {
-              window.open('https://pepoafonso.github.io/color_converter_wplace/', '_blank', 'noopener noreferrer');
+              const input = document.querySelector('#bm-input-file-template');
+
+              // Kills itself if there is no file
+              if (!input?.files[0]) {instance.handleDisplayError(`No file selected!\nUpload a template to convert it.`); return;}
+
+              // Replaces the uploaded file with the converted file
+              showTemplateImport(input.files[0], 'Use Converted Image', (file) => {
+                const dataTransfer = new DataTransfer();
+                dataTransfer.items.add(file);
+                input.files = dataTransfer.files;
+                input.dispatchEvent(new Event('change')); // Updates the upload button text
+                instance.handleDisplayStatus(`Converted "${file.name}" to the palette!`);
+              });
             });
           }).buildElement()
           .addButton({'id': 'bm-button-dark-theme', 'className': 'bm-help', 'innerHTML': '🌙', 'title': 'Toggle dark theme'}, 
@@ -829,7 +1307,33 @@ function buildOverlayMain() {
   .buildOverlay(document.body);
 }
 
+/** Formats the progress of a template as a short, human readable string.
+ * @param {{correct: number, missing: number, wrong: number, unseen: number, percentage: number}|null} progress - The progress from {@link Template#getProgress}
+ * @returns {string} E.g. "42.0% complete (1,234 / 2,938)"
+ * @since 0.84.0
+ */
+function formatTemplateProgress(progress) {
+  if (!progress) {return 'Progress unknown';}
+  if (!progress.correct && !progress.missing && !progress.wrong) {return 'Progress not loaded yet';} // No tile of the template has been seen yet
+  const numberFormat = new Intl.NumberFormat();
+  const total = progress.correct + progress.missing + progress.wrong + progress.unseen;
+  return `${progress.percentage.toFixed(1)}% complete (${numberFormat.format(progress.correct)} / ${numberFormat.format(total)})`;
+}
+
+/** Hides the debug view of the Template Manager, and stops updating it.
+ * @since 0.84.0
+ */
+function hideTemplateDebug() {
+  const debug = document.querySelector('#bm-template-debug');
+  if (!debug) {return;}
+
+  clearInterval(debug.bmInterval);
+  debug.style.display = 'none';
+}
+
 function buildTemplateManager() {
+  let templateListFilter = null; // The search, filter, and sort controls of the template list
+
   overlayTabTemplate.addDiv({'id': 'bm-template-manager', 'style': 'top: 10px; left: 400px; display: none;'})
     .addDiv({'id': 'bm-template-header'})
       .addDiv({'id': 'bm-template-drag'}).buildElement()
@@ -840,6 +1344,7 @@ function buildTemplateManager() {
             button.onclick = () => {
               const manageButton = document.querySelector('#bm-button-manage');
               document.querySelector('#bm-template-manager').style.display = 'none';
+              hideTemplateDebug();
               // Reset manage button appearance
               if (manageButton) {
                 manageButton.style.backgroundColor = '';
@@ -853,7 +1358,29 @@ function buildTemplateManager() {
 
     .addHr({'style': 'margin: 0.5em 0;'}).buildElement()
 
-    .addDiv({'id': 'bm-template-controls', 'style': 'margin-bottom: 1em;'})
+    .addDiv({'id': 'bm-template-controls', 'style': 'margin-bottom: 1em; flex-wrap: wrap;'})
+      .addButton({'id': 'bm-template-undo', 'textContent': '↶ Undo', 'disabled': true}, (instance, button) => {
+        button.onclick = async () => {
+          try {
+            const label = await templateManager.undo();
+            if (label) {overlayMain.handleDisplayStatus(`Undid: ${label}`);}
+          } catch (error) {
+            overlayMain.handleDisplayError(`Failed to undo: ${error.message}`);
+          }
+          refreshTemplateList();
+        }
+      }).buildElement()
+      .addButton({'id': 'bm-template-redo', 'textContent': '↷ Redo', 'disabled': true}, (instance, button) => {
+        button.onclick = async () => {
+          try {
+            const label = await templateManager.redo();
+            if (label) {overlayMain.handleDisplayStatus(`Redid: ${label}`);}
+          } catch (error) {
+            overlayMain.handleDisplayError(`Failed to redo: ${error.message}`);
+          }
+          refreshTemplateList();
+        }
+      }).buildElement()
       .addButton({'id': 'bm-template-enable-all', 'textContent': 'Enable All'}, (instance, button) => {
         button.onclick = async () => {
           await templateManager.setAllTemplatesEnabled(true);
@@ -868,8 +1395,151 @@ function buildTemplateManager() {
           overlayMain.handleDisplayStatus('All templates disabled!');
         }
       }).buildElement()
+      .addButton({'id': 'bm-template-export', 'textContent': '📤 Export', 'title': 'Export the selected templates (or every template, if none are selected) to a file'}, (instance, button) => {
+        button.onclick = async () => {
+          const keys = selectedTemplateKeys.size > 0 ? [...selectedTemplateKeys] : undefined;
+          const json = await templateManager.exportTemplates(keys);
+          const count = Object.keys(json.templates).length;
+          if (count == 0) {overlayMain.handleDisplayError('There are no templates to export!'); return;}
+          downloadJSON(json, `BlueMarble-templates-${new Date().toISOString().slice(0, 10)}.json`);
+          overlayMain.handleDisplayStatus(`Exported ${count} template${count == 1 ? '' : 's'}!`);
+        }
+      }).buildElement()
+      .addButton({'id': 'bm-template-import', 'textContent': '📥 Import', 'title': 'Import templates from a file'}, (instance, button) => {
+        button.onclick = () => {
+          const input = document.createElement('input');
+          input.type = 'file';
+          input.accept = '.json,application/json';
+          input.onchange = async () => {
+            const file = input.files[0];
+            if (!file) {return;}
+
+            let json;
+            try {
+              json = JSON.parse(await file.text());
+            } catch (exception) {
+              overlayMain.handleDisplayError(`"${file.name}" is not a valid JSON file!`);
+              return;
+            }
+
+            // Asks the user about each conflict, unless they chose to do the same for all of them
+            let resolutionForAll = null;
+            const onConflict = async (key, loadedTemplate, importedTemplate) => {
+              if (resolutionForAll) {return resolutionForAll;}
+              const { resolution, applyToAll } = await showImportConflict(key, loadedTemplate, importedTemplate);
+              if (applyToAll) {resolutionForAll = resolution;}
+              return resolution;
+            };
+
+            button.disabled = true;
+            try {
+              const count = await templateManager.importJSON(json, onConflict);
+              overlayMain.handleDisplayStatus(`Imported ${count} template${count == 1 ? '' : 's'} from "${file.name}"!`);
+            } catch (error) {
+              overlayMain.handleDisplayError(`Failed to import "${file.name}": ${error.message}`);
+            } finally {
+              button.disabled = false;
+              refreshTemplateList();
+            }
+          };
+          input.click();
+        }
+      }).buildElement()
+      .addButton({'id': 'bm-template-subscribe', 'textContent': '🔗 Subscribe', 'title': 'Subscribe to a template image, or template JSON, by URL'}, (instance, button) => {
+        button.onclick = async () => {
+          const url = prompt('URL of a template image, or of a template JSON file:')?.trim();
+          if (!url) {return;}
+
+          // JSON files contain their own coordinates. Images use the coordinates in the main overlay
+          const urlType = /\.json($|\?)/i.test(url) ? 'json' : 'template';
+          let coords = null;
+          if (urlType == 'template') {
+            const coordInputs = ['#bm-input-tx', '#bm-input-ty', '#bm-input-px', '#bm-input-py'].map(selector => document.querySelector(selector));
+            if (!coordInputs.every(input => input?.value !== '' && input.checkValidity())) {
+              overlayMain.handleDisplayError('Coordinates are malformed! Did you try clicking on the canvas first?');
+              return;
+            }
+            coords = coordInputs.map(input => Number(input.value));
+          }
+
+          button.disabled = true;
+          overlayMain.handleDisplayStatus(`Downloading ${url}...`);
+          try {
+            const name = decodeURIComponent(url.split('?')[0].split('/').pop()).replace(/\.[^/.]+$/, '') || undefined;
+            overlayMain.handleDisplayStatus(await templateManager.subscribeTemplate(url, urlType, name, coords));
+            refreshTemplateList();
+          } catch (error) {
+            overlayMain.handleDisplayError(`Failed to subscribe: ${error.message}`);
+          } finally {
+            button.disabled = false;
+          }
+        }
+      }).buildElement()
+      .addButton({'id': 'bm-template-sync', 'textContent': '🔄 Sync', 'title': 'Check every subscribed URL for changes now'}, (instance, button) => {
+        button.onclick = async () => {
+          button.disabled = true;
+          const changedCount = await templateManager.refreshRemoteTemplates();
+          if (changedCount == 0) {overlayMain.handleDisplayStatus('All subscribed templates are up to date!');}
+          refreshTemplateList();
+          button.disabled = false;
+        }
+      }).buildElement()
     .buildElement()
 
+    .addDiv({'id': 'bm-template-filter'}, (instance, div) => {
+      templateListFilter = createTemplateListFilter(() => refreshTemplateList());
+      div.appendChild(templateListFilter.element);
+    }).buildElement()
+
+    .addDiv({'id': 'bm-template-focus', 'style': 'display: flex; gap: 0.5ch; align-items: center; flex-wrap: wrap; margin-bottom: 0.5em; font-size: 0.8em;'}, (instance, div) => {
+
+      const label = document.createElement('span');
+      label.textContent = '🎯 Focus:';
+      label.title = 'Only template pixels of the focused colors are drawn normally. Click a color in the color analysis of a template to focus on it';
+
+      const swatches = document.createElement('span');
+      swatches.id = 'bm-template-focus-colors';
+      swatches.style.cssText = 'display: inline-flex; gap: 2px; flex-wrap: wrap;';
+
+      const followLabel = document.createElement('label');
+      const follow = document.createElement('input');
+      follow.type = 'checkbox';
+      follow.id = 'bm-template-focus-follow';
+      follow.style.verticalAlign = 'middle';
+      follow.onchange = () => templateManager.setFocusFollowsPicker(follow.checked);
+      followLabel.title = 'Focus on the color selected in the color picker';
+      followLabel.append(follow, ' Follow picker');
+
+      const clear = document.createElement('button');
+      clear.textContent = 'Clear';
+      clear.title = 'Turn focus mode off';
+      clear.onclick = () => {
+        templateManager.setFocusColors([]);
+        window.refreshFocusColors();
+      };
+
+      div.append(label, swatches, followLabel, clear);
+
+      // Shows the focused colors. Clicking a color stops focusing on it
+      window.refreshFocusColors = () => {
+        swatches.innerHTML = '';
+        for (const rgb of templateManager.focusColors) {
+          const swatch = document.createElement('span');
+          swatch.style.cssText = `display: inline-block; width: 1em; height: 1em; border: 1px solid #fff; border-radius: 2px; cursor: pointer; background-color: rgb(${rgb.join(', ')});`;
+          swatch.title = `${colorpalette.slice(1).find(paletteColor => paletteColor.rgb.join() == rgb.join())?.name || `rgb(${rgb.join(', ')})`} (click to remove)`;
+          swatch.onclick = () => {
+            templateManager.toggleFocusColor(rgb);
+            window.refreshFocusColors();
+          };
+          swatches.appendChild(swatch);
+        }
+        if (templateManager.focusColors.length == 0) {swatches.textContent = 'Off';}
+        clear.disabled = templateManager.focusColors.length == 0;
+        follow.checked = templateManager.focusFollowsPicker;
+      };
+      window.refreshFocusColors();
+    }).buildElement()
+
     .addDiv({'id': 'bm-template-list', 'style': 'max-height: 400px; overflow-y: auto; margin-bottom: 1em;'})
     .buildElement()
 
@@ -878,12 +1548,151 @@ function buildTemplateManager() {
     .addDiv({'id': 'bm-template-stats'})
       .addP({'id': 'bm-template-total-count', 'textContent': 'Total templates: 0', 'style': 'margin: 0.25em 0; font-size: 0.9em;'}).buildElement()
       .addP({'id': 'bm-template-enabled-count', 'textContent': 'Enabled templates: 0', 'style': 'margin: 0.25em 0; font-size: 0.9em;'}).buildElement()
-      .addSmall({'textContent': 'Shortcuts: Ctrl+T (toggle), Ctrl+Shift+E (enable all), Ctrl+Shift+D (disable all) • Shift+Click Manage for inline mode', 'style': 'color: #aaa; font-size: 0.7em; margin-top: 0.5em; display: block; line-height: 1.3;'}).buildElement()
+      .addDiv({'id': 'bm-template-quarantine', 'style': 'display: none; margin: 0.25em 0; font-size: 0.9em; color: #ffb74d;'}).buildElement()
+      .addButton({'id': 'bm-template-recycle-toggle', 'textContent': '♻️ Recycle bin (0)', 'title': 'Show the deleted templates, so they can be restored', 'style': 'font-size: 0.8em; margin: 0.25em 0.5ch 0.25em 0;'}, (instance, button) => {
+        button.onclick = () => {
+          const recycleBin = document.querySelector('#bm-template-recycle');
+          recycleBin.style.display = recycleBin.style.display == 'none' ? 'block' : 'none';
+          refreshRecycleBin();
+        }
+      }).buildElement()
+      .addDiv({'id': 'bm-template-recycle', 'style': 'display: none; margin: 0.25em 0; font-size: 0.8em; max-height: 150px; overflow-y: auto; background-color: rgba(0,0,0,0.2); border-radius: 4px; padding: 0.5em;'}).buildElement()
+      .addButton({'id': 'bm-template-debug-toggle', 'textContent': '🐞 Debug', 'title': 'Show tile cache statistics', 'style': 'font-size: 0.8em; margin: 0.25em 0;'}, (instance, button) => {
+        button.onclick = () => {
+          const debug = document.querySelector('#bm-template-debug');
+          const isHidden = debug.style.display == 'none';
+          debug.style.display = isHidden ? 'block' : 'none';
+
+          // Updates the statistics every second while they are shown
+          clearInterval(debug.bmInterval);
+          if (isHidden) {
+            updateTemplateDebug();
+            debug.bmInterval = setInterval(updateTemplateDebug, 1000);
+          }
+        }
+      }).buildElement()
+      .addP({'id': 'bm-template-debug', 'style': 'display: none; margin: 0.25em 0; font-size: 0.8em; white-space: pre-line;'}).buildElement()
+      .addSmall({'textContent': 'Shortcuts: Ctrl+T (toggle), Ctrl+Shift+E (enable all), Ctrl+Shift+D (disable all), Ctrl+Shift+1 to 9 (presets), Ctrl+Z (undo), Ctrl+Y (redo) • Shift+Click Manage for inline mode', 'style': 'color: #aaa; font-size: 0.7em; margin-top: 0.5em; display: block; line-height: 1.3;'}).buildElement()
     .buildElement()
   .buildOverlay(document.body);
 
   overlayTabTemplate.handleDrag('#bm-template-manager', '#bm-template-drag');
 
+  /** Shows the statistics of the tile cache in the debug view.
+   * @since 0.84.0
+   */
+  function updateTemplateDebug() {
+    const debug = document.querySelector('#bm-template-debug');
+    if (!debug) {return;}
+
+    const stats = templateManager.tileCache.getStats();
+    const lookups = stats.hits + stats.misses;
+    const toMegabytes = (bytes) => (bytes / 1024 / 1024).toFixed(1);
+
+    debug.textContent = `Tile cache: ${stats.entries}/${stats.maxEntries} tiles, ${toMegabytes(stats.bytes)}/${toMegabytes(stats.maxBytes)} MB\n`
+      + `Hits: ${stats.hits}, Misses: ${stats.misses} (${lookups ? Math.round((stats.hits / lookups) * 100) : 0}% hit rate)\n`
+      + `Evictions: ${stats.evictions}, Revision: ${templateManager.templatesRevision}`;
+  }
+
+  /** Shows the deleted templates in the recycle bin, and the undo and redo buttons for the last change.
+   * @since 0.84.0
+   */
+  function refreshRecycleBin() {
+
+    const history = templateManager.getHistory();
+    const undo = document.querySelector('#bm-template-undo');
+    const redo = document.querySelector('#bm-template-redo');
+    undo.disabled = !history.undo;
+    undo.title = history.undo ? `Undo: ${history.undo} (Ctrl+Z)` : 'Nothing to undo';
+    redo.disabled = !history.redo;
+    redo.title = history.redo ? `Redo: ${history.redo} (Ctrl+Y)` : 'Nothing to redo';
+
+    const recycledTemplates = templateManager.getRecycledTemplates();
+    document.querySelector('#bm-template-recycle-toggle').textContent = `♻️ Recycle bin (${recycledTemplates.length})`;
+
+    const recycleBin = document.querySelector('#bm-template-recycle');
+    if (recycleBin.style.display == 'none') {return;} // Not shown, so there is nothing else to update
+    recycleBin.innerHTML = '';
+
+    // How long deleted templates are kept
+    const retention = document.createElement('select');
+    retention.title = 'How long deleted templates are kept';
+    const day = 24 * 60 * 60 * 1000;
+    for (const [days, text] of [[1, 'Keep for 1 day'], [7, 'Keep for 7 days'], [30, 'Keep for 30 days'], [365, 'Keep for 1 year']]) {
+      retention.appendChild(new Option(text, days * day));
+    }
+    retention.value = templateManager.getRecycleBinRetention();
+    if (retention.selectedIndex == -1) {retention.appendChild(new Option(`Keep for ${Math.round(templateManager.getRecycleBinRetention() / day)} days`, templateManager.getRecycleBinRetention(), true, true));}
+    retention.style.cssText = 'background-color: rgba(0,0,0,0.3); color: white; border-radius: 4px; margin-right: 0.5ch;';
+    retention.onchange = async () => {
+      await templateManager.setRecycleBinRetention(Number(retention.value));
+      refreshTemplateList();
+    };
+
+    const empty = document.createElement('button');
+    empty.textContent = '🗑️ Empty';
+    empty.title = 'Delete every template in the recycle bin permanently';
+    empty.disabled = recycledTemplates.length == 0;
+    empty.onclick = async () => {
+      if (!confirm(`Permanently delete ${recycledTemplates.length} template${recycledTemplates.length == 1 ? '' : 's'} in the recycle bin?\n\nThis action cannot be undone.`)) {return;}
+      await templateManager.emptyRecycleBin();
+      refreshTemplateList();
+    };
+
+    const header = document.createElement('div');
+    header.style.cssText = 'display: flex; align-items: center; margin-bottom: 0.5em;';
+    header.append(retention, empty);
+    recycleBin.appendChild(header);
+
+    if (recycledTemplates.length == 0) {
+      const emptyText = document.createElement('div');
+      emptyText.textContent = 'The recycle bin is empty';
+      emptyText.style.cssText = 'color: #888; font-style: italic;';
+      recycleBin.appendChild(emptyText);
+      return;
+    }
+
+    for (const recycled of recycledTemplates) {
+
+      const item = document.createElement('div');
+      item.style.cssText = 'display: flex; align-items: center; gap: 0.5ch; margin: 0.25em 0;';
+
+      const name = document.createElement('span');
+      name.textContent = recycled.name;
+      name.title = `Deleted ${new Date(recycled.deletedAt).toLocaleString()}\nDeleted permanently ${new Date(recycled.expiresAt).toLocaleString()}`;
+      name.style.cssText = 'flex: 1; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
+
+      const restore = document.createElement('button');
+      restore.textContent = '↩️';
+      restore.title = 'Restore';
+      restore.onclick = async () => {
+        restore.disabled = true;
+        try {
+          await templateManager.restoreTemplate(recycled.key);
+          overlayMain.handleDisplayStatus(`Restored "${recycled.name}"!`);
+        } catch (error) {
+          overlayMain.handleDisplayError(`Failed to restore "${recycled.name}": ${error.message}`);
+        }
+        refreshTemplateList();
+      };
+
+      const remove = document.createElement('button');
+      remove.textContent = '❌';
+      remove.title = 'Delete permanently';
+      remove.onclick = async () => {
+        if (!confirm(`Permanently delete "${recycled.name}"?\n\nThis action cannot be undone.`)) {return;}
+        await templateManager.emptyRecycleBin([recycled.key]);
+        refreshTemplateList();
+      };
+
+      item.append(name, restore, remove);
+      recycleBin.appendChild(item);
+    }
+  }
+
+  const selectedTemplateKeys = new Set(); // The templates selected for exporting
+  const collapsedTemplateGroups = new Set(); // The groups that are collapsed in the template list
+
   // Function to refresh the template list
   window.refreshTemplateList = function() {
     const templates = templateManager.getAllTemplates();
@@ -894,18 +1703,131 @@ function buildTemplateManager() {
     // Clear existing list
     templateList.innerHTML = '';
     
+    // Forgets the selection of deleted templates
+    for (const key of selectedTemplateKeys) {
+      if (!templates.some(template => template.key == key)) {selectedTemplateKeys.delete(key);}
+    }
+
     // Update statistics
     const enabledTemplates = templates.filter(t => t.enabled);
     totalCount.textContent = `Total templates: ${templates.length}`;
     enabledCount.textContent = `Enabled templates: ${enabledTemplates.length}`;
+
+    // Shows the broken templates that were quarantined, if any
+    const quarantine = document.querySelector('#bm-template-quarantine');
+    const quarantinedTemplates = templateManager.getQuarantinedTemplates();
+    quarantine.style.display = quarantinedTemplates.length > 0 ? 'block' : 'none';
+    quarantine.innerHTML = '';
+    if (quarantinedTemplates.length > 0) {
+      const quarantineText = document.createElement('span');
+      quarantineText.textContent = `⚠️ Quarantined templates: ${quarantinedTemplates.length} `;
+      quarantineText.title = quarantinedTemplates.map(template => `${template.name}: ${template.errors.join(', ')}`).join('\n');
+
+      const quarantineDownload = document.createElement('button');
+      quarantineDownload.textContent = '💾';
+      quarantineDownload.title = 'Download the quarantined templates, so they can be repaired';
+      quarantineDownload.onclick = () => downloadJSON({ quarantine: templateManager.templatesJSON?.quarantine || {} }, 'BlueMarble-quarantine.json');
+
+      const quarantineDiscard = document.createElement('button');
+      quarantineDiscard.textContent = '🗑️';
+      quarantineDiscard.title = 'Delete the quarantined templates';
+      quarantineDiscard.style.marginLeft = '0.5ch';
+      quarantineDiscard.onclick = async () => {
+        if (!confirm(`Delete ${quarantinedTemplates.length} quarantined template${quarantinedTemplates.length == 1 ? '' : 's'}?\n\nThis action cannot be undone.`)) {return;}
+        await templateManager.discardQuarantinedTemplates();
+        refreshTemplateList();
+      };
+
+      quarantine.append(quarantineText, quarantineDownload, quarantineDiscard);
+    }
+
+    refreshRecycleBin();
     
     if (templates.length === 0) {
       templateList.innerHTML = '<div style="text-align: center; color: #888; margin: 2em 0; padding: 1em; background-color: rgba(0,0,0,0.1); border-radius: 4px; font-style: italic;">No templates loaded<br><small>Create templates using the main interface</small></div>';
       return;
     }
     
+    // The top layer is first. Layers are changed in this order, no matter how the list is sorted
+    const templatesByLayer = [...templates].sort((a, b) => b.sortID - a.sortID);
+
+    const templatesShown = templateListFilter.apply(templates);
+    if (templatesShown.length === 0) {
+      templateList.innerHTML = '<div style="text-align: center; color: #888; margin: 2em 0; padding: 1em; background-color: rgba(0,0,0,0.1); border-radius: 4px; font-style: italic;">No templates match the search</div>';
+      return;
+    }
+
+    // Creates a collapsible folder for each group. Templates without a group are listed after the folders
+    const groupContainers = new Map(); // Group name -> the element the templates of the group are listed in
+    for (const group of templateManager.getTemplateGroups()) {
+      const isCollapsed = collapsedTemplateGroups.has(group.name);
+
+      const groupFolder = document.createElement('div');
+      groupFolder.className = 'bm-template-group';
+      groupFolder.style.cssText = 'margin: 0.5em 0; border: 1px solid rgba(255, 255, 255, 0.15); border-radius: 6px;';
+
+      const groupHeader = document.createElement('div');
+      groupHeader.style.cssText = 'display: flex; align-items: center; gap: 0.5em; padding: 0.4em 0.6em; background-color: rgba(0, 0, 0, 0.3); border-radius: 6px; cursor: pointer;';
+
+      const groupName = document.createElement('span');
+      groupName.textContent = `${isCollapsed ? '📁' : '📂'} ${group.name} (${group.enabledCount}/${group.count})`;
+      groupName.title = `${group.enabledCount} of ${group.count} template${group.count == 1 ? '' : 's'} enabled`;
+      groupName.style.cssText = 'flex: 1; min-width: 0; font-weight: bold; white-space: nowrap; overflow: hidden; text-overflow: ellipsis;';
+
+      const groupEnable = document.createElement('button');
+      groupEnable.textContent = '👁️';
+      groupEnable.title = 'Enable every template in this group';
+      groupEnable.onclick = async (event) => {
+        event.stopPropagation(); // Does not collapse the group
+        await templateManager.setGroupEnabled(group.name, true);
+        refreshTemplateList();
+        overlayMain.handleDisplayStatus(`Group "${group.name}" enabled!`);
+      };
+
+      const groupDisable = document.createElement('button');
+      groupDisable.textContent = '👁️‍🗨️';
+      groupDisable.title = 'Disable every template in this group';
+      groupDisable.onclick = async (event) => {
+        event.stopPropagation();
+        await templateManager.setGroupEnabled(group.name, false);
+        refreshTemplateList();
+        overlayMain.handleDisplayStatus(`Group "${group.name}" disabled!`);
+      };
+
+      const groupDelete = document.createElement('button');
+      groupDelete.textContent = '🗑️';
+      groupDelete.title = 'Delete this group, and every template in it';
+      groupDelete.onclick = async (event) => {
+        event.stopPropagation();
+        if (!confirm(`Are you sure you want to delete the group "${group.name}" and its ${group.count} template${group.count == 1 ? '' : 's'}?\n\nThey are kept in the recycle bin, and can be restored.`)) {return;}
+        const count = await templateManager.deleteGroup(group.name);
+        collapsedTemplateGroups.delete(group.name);
+        refreshTemplateList();
+        overlayMain.handleDisplayStatus(`Deleted ${count} template${count == 1 ? '' : 's'} in group "${group.name}"`);
+      };
+
+      groupHeader.onclick = () => {
+        if (isCollapsed) {
+          collapsedTemplateGroups.delete(group.name);
+        } else {
+          collapsedTemplateGroups.add(group.name);
+        }
+        refreshTemplateList();
+      };
+
+      const groupContainer = document.createElement('div');
+      groupContainer.style.cssText = `padding: 0 0.5em; display: ${isCollapsed ? 'none' : 'block'};`;
+
+      groupHeader.append(groupName, groupEnable, groupDisable, groupDelete);
+      groupFolder.append(groupHeader, groupContainer);
+      templateList.appendChild(groupFolder);
+      groupContainers.set(group.name, groupContainer);
+    }
+
     // Create template items
-    templates.forEach(template => {
+    templatesShown.forEach(template => {
+      const index = templatesByLayer.findIndex(item => item.key == template.key); // The layer of the template. 0 = top layer
+
       const templateItem = document.createElement('div');
       templateItem.className = 'bm-template-item';
       templateItem.style.cssText = `
@@ -921,6 +1843,80 @@ function buildTemplateManager() {
         min-height: 60px;
       `;
       
+      // Changes the draw order of the template
+      const templateLayer = document.createElement('div');
+      templateLayer.style.cssText = 'display: flex; flex-direction: column; align-items: center; margin-right: 0.5em; flex-shrink: 0;';
+
+      const forwardBtn = document.createElement('button');
+      forwardBtn.textContent = '▲';
+      forwardBtn.title = 'Bring forward (draw above the template listed above)';
+      forwardBtn.disabled = index == 0;
+      forwardBtn.style.cssText = 'font-size: 0.7em; padding: 0 0.3em;';
+      forwardBtn.onclick = async () => {
+        await templateManager.moveTemplateLayer(template.key, 1);
+        refreshTemplateList();
+      };
+
+      const dragHandle = document.createElement('span');
+      dragHandle.textContent = '⠿';
+      dragHandle.title = 'Drag to change the draw order';
+      dragHandle.style.cssText = 'cursor: grab; font-size: 1.2em; line-height: 1; user-select: none;';
+      dragHandle.onmousedown = () => {templateItem.draggable = true;}; // Only the handle starts dragging, so text can still be selected
+      dragHandle.onmouseup = () => {templateItem.draggable = false;};
+
+      const backBtn = document.createElement('button');
+      backBtn.textContent = '▼';
+      backBtn.title = 'Send back (draw below the template listed below)';
+      backBtn.disabled = index == templatesByLayer.length - 1;
+      backBtn.style.cssText = 'font-size: 0.7em; padding: 0 0.3em;';
+      backBtn.onclick = async () => {
+        await templateManager.moveTemplateLayer(template.key, -1);
+        refreshTemplateList();
+      };
+
+      templateLayer.append(forwardBtn, dragHandle, backBtn);
+
+      templateItem.dataset.key = template.key;
+      templateItem.ondragstart = (event) => {
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', template.key);
+        templateItem.style.opacity = '0.5';
+      };
+      templateItem.ondragend = () => {
+        templateItem.draggable = false;
+        templateItem.style.opacity = '';
+      };
+      templateItem.ondragover = (event) => {
+        event.preventDefault(); // Allows dropping
+        event.dataTransfer.dropEffect = 'move';
+      };
+      templateItem.ondrop = async (event) => {
+        event.preventDefault();
+        const draggedKey = event.dataTransfer.getData('text/plain');
+        if (!draggedKey || draggedKey == template.key) {return;}
+
+        // Moves the dragged template to where it was dropped. The list is top layer first, so it is reversed for the draw order
+        const keys = templatesByLayer.map(item => item.key).filter(key => key != draggedKey);
+        const isDraggedDown = index > templatesByLayer.findIndex(item => item.key == draggedKey);
+        keys.splice(keys.indexOf(template.key) + (isDraggedDown ? 1 : 0), 0, draggedKey);
+        await templateManager.reorderTemplates(keys.reverse());
+        refreshTemplateList();
+      };
+
+      // Selects the template for exporting
+      const selectCheckbox = document.createElement('input');
+      selectCheckbox.type = 'checkbox';
+      selectCheckbox.title = 'Select for exporting';
+      selectCheckbox.checked = selectedTemplateKeys.has(template.key);
+      selectCheckbox.style.cssText = 'margin-right: 0.75em; flex-shrink: 0;';
+      selectCheckbox.onchange = () => {
+        if (selectCheckbox.checked) {
+          selectedTemplateKeys.add(template.key);
+        } else {
+          selectedTemplateKeys.delete(template.key);
+        }
+      };
+
       const templateInfo = document.createElement('div');
       templateInfo.style.cssText = 'flex: 1; min-width: 0; margin-right: 1em;';
       
@@ -942,7 +1938,10 @@ function buildTemplateManager() {
       templateDetails.innerHTML = `
         <div>📍 ${template.coords}</div>
         <div>🎨 ${pixelCountFormatted} pixels</div>
+        <div>✅ ${formatTemplateProgress(template.progress)}</div>
+        ${template.url ? `<div class="bm-template-sync">🔗 Synced ${template.lastSync ? new Date(template.lastSync).toLocaleString() : 'never'}</div>` : ''}
       `;
+      if (template.url) {templateDetails.querySelector('.bm-template-sync').title = template.url;} // Set as a property, since the URL could break out of an attribute
       
       templateInfo.appendChild(templateName);
       templateInfo.appendChild(templateDetails);
@@ -1003,21 +2002,52 @@ function buildTemplateManager() {
         background-color: #d32f2f;
       `;
       deleteBtn.onclick = async () => {
-        if (confirm(`Are you sure you want to delete "${template.name}"?\n\nThis action cannot be undone.`)) {
+        if (confirm(`Are you sure you want to delete "${template.name}"?\n\nIt is kept in the recycle bin, and can be restored.`)) {
           await templateManager.deleteTemplate(template.key);
           refreshTemplateList();
           overlayMain.handleDisplayStatus(`Template "${template.name}" deleted`);
         }
       };
       
+      // Group button
+      const groupBtn = document.createElement('button');
+      groupBtn.textContent = '📁';
+      groupBtn.title = template.group ? `In group "${template.group}". Click to move to another group` : 'Move to a group';
+      groupBtn.className = 'bm-help';
+      groupBtn.style.cssText = `
+        width: 35px;
+        height: 35px;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        font-size: 1.1em;
+        background-color: #795548;
+      `;
+      groupBtn.onclick = async () => {
+        const groupNames = templateManager.getTemplateGroups().map(group => group.name);
+        const group = prompt(`Group of "${template.name}" (leave empty to remove it from its group):${groupNames.length ? `\n\nGroups: ${groupNames.join(', ')}` : ''}`, template.group);
+        if (group === null) {return;} // Cancelled
+        await templateManager.setTemplateGroup(template.key, group);
+        refreshTemplateList();
+        overlayMain.handleDisplayStatus(group.trim() ? `Template "${template.name}" moved to group "${group.trim()}"` : `Template "${template.name}" removed from its group`);
+      };
+
       templateActions.appendChild(infoBtn);
       templateActions.appendChild(toggleBtn);
+      templateActions.appendChild(groupBtn);
       templateActions.appendChild(deleteBtn);
       
+      templateItem.appendChild(templateLayer);
+      templateItem.appendChild(selectCheckbox);
       templateItem.appendChild(templateInfo);
       templateItem.appendChild(templateActions);
-      templateList.appendChild(templateItem);
+      (groupContainers.get(template.group) || templateList).appendChild(templateItem);
     });
+
+    // Hides the groups without any template that matches the search
+    for (const groupContainer of groupContainers.values()) {
+      if (groupContainer.childElementCount == 0) {groupContainer.parentElement.remove();}
+    }
   };
 
   // Function to show detailed template information
@@ -1032,7 +2062,7 @@ function buildTemplateManager() {
     }
 
     // Get template instance for detailed analysis
-    const templateInstance = templateManager.templatesArray.find(t => `${t.sortID} ${t.authorID}` === template.key);
+    const templateInstance = templateManager.templatesArray.find(t => t.id === template.key);
     
     modal.innerHTML = `
       <div class="info-header">
@@ -1045,21 +2075,40 @@ function buildTemplateManager() {
         <div style="display: grid; grid-template-columns: auto 1fr; gap: 0.5em 1em; font-size: 0.9em;">
           <strong>Name:</strong> 
           <div style="display: flex; gap: 0.5em; align-items: center;">
-            <span id="bm-info-name-display">${template.name}</span>
+            <span id="bm-info-name-display">${escapeHTML(template.name)}</span>
             <button id="bm-info-name-edit" class="bm-help" style="width: 25px; height: 25px; background: #2196F3; font-size: 0.8em;">✏️</button>
           </div>
           <strong>Coordinates:</strong> 
           <div style="display: flex; gap: 0.5em; align-items: center;">
-            <span id="bm-info-coords-display">${template.coords}</span>
+            <span id="bm-info-coords-display">${escapeHTML(template.coords)}</span>
             <button id="bm-info-coords-edit" class="bm-help" style="width: 25px; height: 25px; background: #2196F3; font-size: 0.8em;">✏️</button>
           </div>
           <strong>Status:</strong> <span style="color: ${template.enabled ? '#4CAF50' : '#f44336'};">${template.enabled ? 'Enabled' : 'Disabled'}</span>
-          <strong>Template ID:</strong> <span>${template.key}</span>
+          <strong>Render Mode:</strong>
+          <select id="bm-info-render-mode" style="padding: 0.2em; background: #333; border: 1px solid #666; color: white; border-radius: 3px; justify-self: start;">
+            <option value="all" ${template.renderMode == 'errors' ? '' : 'selected'}>All pixels</option>
+            <option value="errors" ${template.renderMode == 'errors' ? 'selected' : ''}>Errors only</option>
+          </select>
+          <strong>Opacity:</strong>
+          <div style="display: flex; gap: 0.5em; align-items: center;">
+            <input type="range" id="bm-info-style-opacity" min="0" max="100" step="5" value="${Math.round(template.style.opacity * 100)}">
+            <span id="bm-info-style-opacity-display">${Math.round(template.style.opacity * 100)}%</span>
+          </div>
+          <strong>Pixel Shape:</strong>
+          <select id="bm-info-style-shape" style="padding: 0.2em; background: #333; border: 1px solid #666; color: white; border-radius: 3px; justify-self: start;">
+            ${[['dot', 'Dot'], ['block', 'Full block'], ['outline', 'Outline'], ['crosshair', 'Crosshair']].map(([shape, label]) => `<option value="${shape}" ${template.style.shape == shape ? 'selected' : ''}>${label}</option>`).join('')}
+          </select>
+          <strong>Tint:</strong>
+          <div style="display: flex; gap: 0.5em; align-items: center;">
+            <input type="checkbox" id="bm-info-style-tint-enabled" ${template.style.tint ? 'checked' : ''}>
+            <input type="color" id="bm-info-style-tint" value="${template.style.tint || '#ff00ff'}" ${template.style.tint ? '' : 'disabled'}>
+          </div>
+          <strong>Template ID:</strong> <span>${escapeHTML(template.key)}</span>
         </div>
         <div id="bm-info-name-editor" style="display: none; margin-top: 1em; padding: 1em; background: rgba(0,0,0,0.3); border-radius: 4px;">
           <div style="margin-bottom: 0.5em; font-weight: bold;">Edit Template Name:</div>
           <div style="display: flex; gap: 0.5em; align-items: center;">
-            <input type="text" id="bm-name-input" value="${template.name}" style="flex: 1; padding: 0.3em; background: #333; border: 1px solid #666; color: white; border-radius: 3px;">
+            <input type="text" id="bm-name-input" style="flex: 1; padding: 0.3em; background: #333; border: 1px solid #666; color: white; border-radius: 3px;">
             <button id="bm-name-save" style="padding: 0.3em 0.6em; background: #4CAF50; border: none; color: white; border-radius: 3px; cursor: pointer;">Save</button>
             <button id="bm-name-cancel" style="padding: 0.3em 0.6em; background: #666; border: none; color: white; border-radius: 3px; cursor: pointer;">Cancel</button>
           </div>
@@ -1077,6 +2126,19 @@ function buildTemplateManager() {
             <button id="bm-coords-cancel" style="flex: 1; padding: 0.5em; background: #666; border: none; color: white; border-radius: 3px; cursor: pointer;">Cancel</button>
           </div>
         </div>
+        <div id="bm-info-nudge" style="margin-top: 1em; display: flex; gap: 0.5em; align-items: center; flex-wrap: wrap; font-size: 0.9em;">
+          <strong>Nudge:</strong>
+          <select id="bm-nudge-step" style="padding: 0.3em; background: #333; border: 1px solid #666; color: white; border-radius: 3px;">
+            <option value="1">1 px</option>
+            <option value="10">10 px</option>
+            <option value="1000">1 tile</option>
+          </select>
+          <button class="bm-nudge" data-dx="-1" data-dy="0" title="Move left" style="width: 30px; height: 30px; background: #2196F3; border: none; color: white; border-radius: 3px; cursor: pointer;">←</button>
+          <button class="bm-nudge" data-dx="0" data-dy="-1" title="Move up" style="width: 30px; height: 30px; background: #2196F3; border: none; color: white; border-radius: 3px; cursor: pointer;">↑</button>
+          <button class="bm-nudge" data-dx="0" data-dy="1" title="Move down" style="width: 30px; height: 30px; background: #2196F3; border: none; color: white; border-radius: 3px; cursor: pointer;">↓</button>
+          <button class="bm-nudge" data-dx="1" data-dy="0" title="Move right" style="width: 30px; height: 30px; background: #2196F3; border: none; color: white; border-radius: 3px; cursor: pointer;">→</button>
+          <small style="color: #aaa; width: 100%;">Arrow keys also nudge while this window is open (Shift = 10 px, Ctrl = 1 tile)</small>
+        </div>
       </div>
 
       <div class="info-section">
@@ -1093,11 +2155,57 @@ function buildTemplateManager() {
         </div>
       </div>
 
+      <div class="info-section">
+        <h4>📈 Progress</h4>
+        <div style="margin-bottom: 0.5em; font-size: 0.9em;">${formatTemplateProgress(template.progress)}</div>
+        <div class="info-stats">
+          <div class="stat-item">
+            <div class="stat-value" style="color: #4CAF50;">${new Intl.NumberFormat().format(template.progress?.correct || 0)}</div>
+            <div class="stat-label">Correct</div>
+          </div>
+          <div class="stat-item">
+            <div class="stat-value" style="color: #FFC107;">${new Intl.NumberFormat().format(template.progress?.missing || 0)}</div>
+            <div class="stat-label">Missing</div>
+          </div>
+          <div class="stat-item">
+            <div class="stat-value" style="color: #f44336;">${new Intl.NumberFormat().format(template.progress?.wrong || 0)}</div>
+            <div class="stat-label">Wrong Color</div>
+          </div>
+          <div class="stat-item">
+            <div class="stat-value" style="color: #aaa;">${new Intl.NumberFormat().format(template.progress?.unseen ?? template.pixelCount)}</div>
+            <div class="stat-label">Not Yet Seen</div>
+          </div>
+        </div>
+      </div>
+
       <div class="info-section">
         <h4>🎨 Template Preview</h4>
         <div class="info-preview">
           <div id="bm-info-preview-content">Generating preview...</div>
         </div>
+        <button id="bm-info-download-source" style="width: 100%; padding: 0.5em; background: #2196F3; border: none; color: white; border-radius: 3px; cursor: pointer;">💾 Download Original Image</button>
+        <button id="bm-info-export" style="width: 100%; padding: 0.5em; margin-top: 0.5em; background: #2196F3; border: none; color: white; border-radius: 3px; cursor: pointer;">📤 Export Template</button>
+      </div>
+
+      <div class="info-section">
+        <h4>🛠️ Transform</h4>
+        <div style="display: flex; gap: 0.5em; align-items: center; flex-wrap: wrap; font-size: 0.9em;">
+          <button class="bm-transform" data-transform="trim" title="Remove the transparent borders" style="padding: 0.3em 0.6em; background: #2196F3; border: none; color: white; border-radius: 3px; cursor: pointer;">✂️ Trim</button>
+          <button class="bm-transform" data-transform="flipHorizontal" title="Mirror left to right" style="padding: 0.3em 0.6em; background: #2196F3; border: none; color: white; border-radius: 3px; cursor: pointer;">⇆ Flip</button>
+          <button class="bm-transform" data-transform="flipVertical" title="Mirror top to bottom" style="padding: 0.3em 0.6em; background: #2196F3; border: none; color: white; border-radius: 3px; cursor: pointer;">⇅ Flip</button>
+          <button class="bm-transform" data-transform="rotateCounterclockwise" title="Rotate 90° counterclockwise" style="padding: 0.3em 0.6em; background: #2196F3; border: none; color: white; border-radius: 3px; cursor: pointer;">↺ 90°</button>
+          <button class="bm-transform" data-transform="rotateClockwise" title="Rotate 90° clockwise" style="padding: 0.3em 0.6em; background: #2196F3; border: none; color: white; border-radius: 3px; cursor: pointer;">↻ 90°</button>
+        </div>
+        <div style="display: flex; gap: 0.5em; align-items: center; flex-wrap: wrap; font-size: 0.9em; margin-top: 0.5em;">
+          <strong>Scale:</strong>
+          <select id="bm-transform-factor" style="padding: 0.3em; background: #333; border: 1px solid #666; color: white; border-radius: 3px;">
+            <option value="2">2x</option>
+            <option value="3">3x</option>
+            <option value="4">4x</option>
+          </select>
+          <button class="bm-transform" data-transform="scaleUp" title="Make every pixel a block of pixels" style="padding: 0.3em 0.6em; background: #2196F3; border: none; color: white; border-radius: 3px; cursor: pointer;">➕ Up</button>
+          <button class="bm-transform" data-transform="scaleDown" title="Keep the top left pixel of every block of pixels" style="padding: 0.3em 0.6em; background: #2196F3; border: none; color: white; border-radius: 3px; cursor: pointer;">➖ Down</button>
+        </div>
       </div>
 
       <div class="info-section">
@@ -1109,9 +2217,13 @@ function buildTemplateManager() {
     // Show modal
     modal.style.display = 'block';
 
+    // Removes the keyboard nudging of any previously opened template
+    if (modal.bmNudgeKeydown) {document.removeEventListener('keydown', modal.bmNudgeKeydown);}
+
     // Close button functionality
     document.getElementById('bm-info-close').onclick = () => {
       modal.style.display = 'none';
+      document.removeEventListener('keydown', modal.bmNudgeKeydown);
     };
 
     // Coordinate editing functionality
@@ -1195,11 +2307,101 @@ function buildTemplateManager() {
       }
     };
 
+    // Render mode functionality
+    document.getElementById('bm-info-render-mode').onchange = async (event) => {
+      try {
+        await templateManager.setTemplateRenderMode(template.key, event.target.value);
+        template.renderMode = event.target.value; // Update local template object
+        overlayMain.handleDisplayStatus(`Template "${template.name}" now shows ${event.target.value == 'errors' ? 'only wrong and missing pixels' : 'all pixels'}`);
+      } catch (error) {
+        overlayMain.handleDisplayError(`Failed to change render mode: ${error.message}`);
+      }
+    };
+
+    // Style functionality
+    const styleOpacity = document.getElementById('bm-info-style-opacity');
+    const styleShape = document.getElementById('bm-info-style-shape');
+    const styleTintEnabled = document.getElementById('bm-info-style-tint-enabled');
+    const styleTint = document.getElementById('bm-info-style-tint');
+
+    const updateStyle = async () => {
+      const style = {
+        opacity: Number(styleOpacity.value) / 100,
+        shape: styleShape.value,
+        tint: styleTintEnabled.checked ? styleTint.value : null
+      };
+      styleTint.disabled = !styleTintEnabled.checked;
+      try {
+        await templateManager.setTemplateStyle(template.key, style);
+        template.style = style; // Update local template object
+      } catch (error) {
+        overlayMain.handleDisplayError(`Failed to change the style: ${error.message}`);
+      }
+    };
+
+    styleOpacity.oninput = () => {document.getElementById('bm-info-style-opacity-display').textContent = `${styleOpacity.value}%`;};
+    styleOpacity.onchange = updateStyle; // Only once the slider is released, so the template is not drawn again for every step
+    styleShape.onchange = updateStyle;
+    styleTintEnabled.onchange = updateStyle;
+    styleTint.onchange = updateStyle;
+
+    // Nudge functionality
+    const nudgeStep = document.getElementById('bm-nudge-step');
+    const nudgeButtons = modal.querySelectorAll('.bm-nudge');
+    let isNudging = false; // Prevents nudges from overlapping while the template is chunked again
+
+    const nudgeTemplate = async (directionX, directionY, step) => {
+      if (isNudging) {return;}
+      isNudging = true;
+      nudgeButtons.forEach(button => button.disabled = true);
+
+      try {
+        const result = await templateManager.moveTemplate(template.key, directionX * step, directionY * step);
+
+        // Update display
+        const newCoordsString = templateManager.templatesJSON.templates[template.key].coords;
+        coordsDisplay.textContent = newCoordsString;
+        template.coords = newCoordsString; // Update local template object
+        newCoordsString.split(',').forEach((coord, index) => currentCoords[index] = parseInt(coord.trim()));
+
+        if (window.refreshTemplateList) {
+          refreshTemplateList();
+        }
+
+        overlayMain.handleDisplayStatus(result);
+      } catch (error) {
+        overlayMain.handleDisplayError(`Failed to move template: ${error.message}`);
+      } finally {
+        isNudging = false;
+        nudgeButtons.forEach(button => button.disabled = false);
+      }
+    };
+
+    nudgeButtons.forEach(button => {
+      button.onclick = () => nudgeTemplate(Number(button.dataset.dx), Number(button.dataset.dy), Number(nudgeStep.value));
+    });
+
+    // Arrow keys nudge the template while the modal is open
+    modal.bmNudgeKeydown = (event) => {
+      if (modal.style.display === 'none') {return;}
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(document.activeElement?.tagName)) {return;}
+
+      const directions = {'ArrowLeft': [-1, 0], 'ArrowUp': [0, -1], 'ArrowDown': [0, 1], 'ArrowRight': [1, 0]};
+      const direction = directions[event.key];
+      if (!direction) {return;}
+
+      event.preventDefault();
+      const step = event.ctrlKey ? 1000 : event.shiftKey ? 10 : Number(nudgeStep.value);
+      nudgeTemplate(direction[0], direction[1], step);
+    };
+    document.addEventListener('keydown', modal.bmNudgeKeydown);
+
     // Name editing functionality
     const nameEditBtn = document.getElementById('bm-info-name-edit');
     const nameEditor = document.getElementById('bm-info-name-editor');
     const nameDisplay = document.getElementById('bm-info-name-display');
     const nameInput = document.getElementById('bm-name-input');
+    nameInput.value = template.name; // Set as a property, so the name can not break out of the attribute
 
     nameEditBtn.onclick = () => {
       // Populate input field with current name
@@ -1254,6 +2456,48 @@ function buildTemplateManager() {
       }
     };
 
+    // Transform functionality
+    const transformButtons = modal.querySelectorAll('.bm-transform');
+    transformButtons.forEach(button => {
+      button.onclick = async () => {
+        transformButtons.forEach(button => button.disabled = true);
+        try {
+          const factor = Number(document.getElementById('bm-transform-factor').value);
+          overlayMain.handleDisplayStatus(await templateManager.transformTemplate(template.key, button.dataset.transform, factor));
+
+          if (window.refreshTemplateList) {
+            refreshTemplateList();
+          }
+
+          // Opens the modal again, so the preview and statistics show the transformed template
+          showTemplateInfo(templateManager.getAllTemplates().find(t => t.key === template.key));
+        } catch (error) {
+          overlayMain.handleDisplayError(`Failed to transform template: ${error.message}`);
+          transformButtons.forEach(button => button.disabled = false);
+        }
+      };
+    });
+
+    // Downloads the unshredded source image of the template
+    document.getElementById('bm-info-download-source').onclick = () => {
+      if (!templateInstance?.file) {
+        overlayMain.handleDisplayError('This template does not have an original image!');
+        return;
+      }
+      const url = URL.createObjectURL(templateInstance.file);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${template.name}.png`;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 60000); // Destroys the blob 1 minute later
+    };
+
+    // Exports only this template
+    document.getElementById('bm-info-export').onclick = async () => {
+      downloadJSON(await templateManager.exportTemplates([template.key]), `${template.name}.json`);
+      overlayMain.handleDisplayStatus(`Exported "${template.name}"!`);
+    };
+
     // Load detailed information asynchronously
     if (templateInstance && templateInstance.chunked) {
       // Update tile count
@@ -1284,7 +2528,7 @@ function buildTemplateManager() {
             </div>
             <div class="color-grid">
               ${colorAnalysis.map(color => `
-                <div class="color-item">
+                <div class="color-item" data-hex="${color.hex}" title="Click to remap, or focus on, this color" style="cursor: pointer;">
                   <div class="color-swatch" style="background-color: ${color.hex};"></div>
                   <div class="color-info">
                     <div style="font-weight: bold;">${color.hex}</div>
@@ -1293,7 +2537,109 @@ function buildTemplateManager() {
                 </div>
               `).join('')}
             </div>
+            <div id="bm-info-remap" style="display: none; margin-top: 0.75em; padding: 0.75em; background: rgba(0,0,0,0.3); border-radius: 4px; font-size: 0.9em;">
+              <div style="display: flex; gap: 0.5em; align-items: center; flex-wrap: wrap;">
+                <strong>Remap <span id="bm-info-remap-from"></span> to</strong>
+                <select id="bm-info-remap-to" style="padding: 0.2em; background: #333; border: 1px solid #666; color: white; border-radius: 3px;">
+                  <option value="">(Keep)</option>
+                  ${colorpalette.map((paletteColor, index) => `<option value="${index}">${index == 0 ? 'Transparent' : `${paletteColor.name} (rgb ${paletteColor.rgb.join(', ')})`}</option>`).join('')}
+                </select>
+                <button id="bm-info-focus" title="Only draw the pixels of this color normally, and dim the rest" style="padding: 0.2em 0.6em; background: #2196F3; border: none; color: white; border-radius: 3px; cursor: pointer;">🎯 Focus</button>
+              </div>
+              <div id="bm-info-remap-list" style="margin: 0.5em 0; color: #ccc;"></div>
+              <div style="display: flex; gap: 0.5em;">
+                <button id="bm-info-remap-apply" style="flex: 1; padding: 0.5em; background: #4CAF50; border: none; color: white; border-radius: 3px; cursor: pointer;">Apply</button>
+                <button id="bm-info-remap-reset" style="flex: 1; padding: 0.5em; background: #666; border: none; color: white; border-radius: 3px; cursor: pointer;">Reset</button>
+              </div>
+            </div>
           `;
+
+          // Color remapping. Remaps are previewed until they are applied
+          const remap = {}; // "#rrggbb" -> [red, green, blue], or null for transparent
+          let remapFrom = null; // The color that is being remapped
+          const remapPanel = document.getElementById('bm-info-remap');
+          const remapTo = document.getElementById('bm-info-remap-to');
+          const remapList = document.getElementById('bm-info-remap-list');
+          const remapApply = document.getElementById('bm-info-remap-apply');
+
+          const updateRemap = async () => {
+            const remapEntries = Object.entries(remap);
+            remapList.textContent = remapEntries.length > 0
+              ? remapEntries.map(([hex, rgb]) => `${hex} → ${rgb ? colorpalette.slice(1).find(paletteColor => paletteColor.rgb.join() == rgb.join())?.name || rgb.join(', ') : 'Transparent'}`).join(', ')
+              : 'No colors remapped yet';
+            remapApply.disabled = remapEntries.length == 0;
+
+            colorsContent.querySelectorAll('.color-item').forEach(item => {
+              item.style.outline = item.dataset.hex == remapFrom ? '2px solid #87CEEB' : item.dataset.hex in remap ? '2px dashed #FFC107' : '';
+            });
+
+            // Live preview of the remapped template
+            const remapPreview = await createRemapPreview(templateInstance.file, remap);
+            if (remapPreview) {
+              previewContent.innerHTML = '';
+              previewContent.appendChild(remapPreview);
+            }
+          };
+
+          colorsContent.querySelectorAll('.color-item').forEach(item => {
+            item.onclick = () => {
+              remapFrom = item.dataset.hex;
+              document.getElementById('bm-info-remap-from').textContent = remapFrom;
+              const remapRGB = remap[remapFrom];
+              remapTo.value = remapRGB === undefined ? '' : remapRGB === null ? '0' : String(colorpalette.findIndex((paletteColor, index) => index > 0 && paletteColor.rgb.join() == remapRGB.join()));
+              remapPanel.style.display = 'block';
+              updateRemap();
+            };
+          });
+
+          remapTo.onchange = () => {
+            if (!remapFrom) {return;}
+            if (remapTo.value === '') {
+              delete remap[remapFrom];
+            } else {
+              remap[remapFrom] = remapTo.value === '0' ? null : [...colorpalette[Number(remapTo.value)].rgb];
+            }
+            updateRemap();
+          };
+
+          // Focus mode, from the same color
+          const focusButton = document.getElementById('bm-info-focus');
+          const hexToRGB = (hex) => hex.match(/[0-9a-f]{2}/gi).map(channel => parseInt(channel, 16)); // "#ff0000" -> [255, 0, 0]
+          const updateFocusButton = () => {
+            const isFocused = !!remapFrom && templateManager.focusColors.some(rgb => rgb.join() == hexToRGB(remapFrom).join());
+            focusButton.textContent = isFocused ? '🎯 Unfocus' : '🎯 Focus';
+          };
+          focusButton.onclick = () => {
+            if (!remapFrom) {return;}
+            const isFocused = templateManager.toggleFocusColor(hexToRGB(remapFrom));
+            window.refreshFocusColors?.();
+            updateFocusButton();
+            overlayMain.handleDisplayStatus(isFocused ? `Focusing on ${remapFrom}` : `Stopped focusing on ${remapFrom}`);
+          };
+          colorsContent.querySelectorAll('.color-item').forEach(item => item.addEventListener('click', updateFocusButton));
+
+          document.getElementById('bm-info-remap-reset').onclick = () => {
+            Object.keys(remap).forEach(hex => delete remap[hex]);
+            remapTo.value = '';
+            updateRemap();
+          };
+
+          remapApply.onclick = async () => {
+            remapApply.disabled = true;
+            try {
+              overlayMain.handleDisplayStatus(await templateManager.remapTemplateColors(template.key, remap));
+
+              if (window.refreshTemplateList) {
+                refreshTemplateList();
+              }
+
+              // Opens the modal again, so the statistics and colors show the remapped template
+              showTemplateInfo(templateManager.getAllTemplates().find(t => t.key === template.key));
+            } catch (error) {
+              overlayMain.handleDisplayError(`Failed to remap colors: ${error.message}`);
+              remapApply.disabled = false;
+            }
+          };
         } else {
           colorsContent.textContent = 'No color data available';
         }
@@ -1305,6 +2651,33 @@ function buildTemplateManager() {
     }
   };
 
+  /** Creates a preview of a template image with some colors replaced.
+   * @param {Blob} file - The source image of the template
+   * @param {Object<string, Array<number>|null>} colorMap - The colors to replace (see {@link remapImageData})
+   * @returns {Promise<HTMLCanvasElement|null>} The preview, at most 400x300 pixels, or null if there is no source image
+   * @since 0.84.0
+   */
+  async function createRemapPreview(file, colorMap) {
+    if (!file) {return null;}
+
+    const bitmap = await createImageBitmap(file);
+    const source = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const sourceContext = source.getContext('2d', { willReadFrequently: true });
+    sourceContext.drawImage(bitmap, 0, 0);
+    sourceContext.putImageData(remapImageData(sourceContext.getImageData(0, 0, bitmap.width, bitmap.height), colorMap).imageData, 0, 0);
+
+    // Same size as the preview of analyzeTemplate()
+    const scale = Math.min(400 / bitmap.width, 300 / bitmap.height, 1);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    const context = canvas.getContext('2d');
+    context.imageSmoothingEnabled = false;
+    context.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+    return canvas;
+  }
+
   // Function to analyze template colors and generate preview
   async function analyzeTemplate(templateInstance) {
     if (!templateInstance.chunked) return { preview: null, colorAnalysis: [] };
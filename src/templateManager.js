@@ -1,5 +1,9 @@
-import Template from "./Template";
-import { base64ToUint8, numberToEncoded } from "./utils";
+import Template, { templateStyleDefault } from "./Template";
+import TemplateStorage from "./templateStorage";
+import TileCache from "./tileCache";
+import WorkerPool from "./workerPool";
+import { migrateTemplatesJSON, quarantineInvalidTemplates, quarantineTemplate, templatesSchemaVersion, validateTemplateStyle } from "./templateSchema";
+import { base64ToUint8, hashBlob, negativeSafeModulo, numberToEncoded, requestRemote } from "./utils";
 
 /** Manages the template system.
  * This class handles all external requests for template modification, creation, and analysis.
@@ -11,20 +15,44 @@ import { base64ToUint8, numberToEncoded } from "./utils";
  * {
  *   "whoami": "BlueMarble",
  *   "scriptVersion": "1.13.0",
- *   "schemaVersion": "2.1.0",
+ *   "schemaVersion": "2.3.0",
+ *   "recycleBinRetention": 604800000,
+ *   "recycleBin": {
+ *     "0-$Y": { "template": { "name": "Old Template", "sortID": 2, "authorID": "$Y", "source": "iVBORw0KGgoAAAANSUhEUgAA" }, "deletedAt": 1792411200000 }
+ *   },
+ *   "presets": {
+ *     "Defense": {
+ *       "templates": { "6f1c2a9e-3b7d-4c55-9a0e-2d8b1f4c7e31": { "enabled": true, "opacity": 0.8 } },
+ *       "shortcut": 1,
+ *       "savedAt": 1792411200000
+ *     }
+ *   },
  *   "templates": {
- *     "0 $Z": {
+ *     "6f1c2a9e-3b7d-4c55-9a0e-2d8b1f4c7e31": {
  *       "name": "My Template",
+ *       "sortID": 0,
+ *       "authorID": "$Z",
+ *       "createdAt": 1792411200000,
  *       "enabled": true,
+ *       "renderMode": "all",
+ *       "style": { "opacity": 0.8, "shape": "outline", "tint": "#ff0000" },
+ *       "group": "Flags",
+ *       "source": "iVBORw0KGgoAAAANSUhEUgAA",
  *       "tiles": {
  *         "1231,0047,183,593": "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAA",
  *         "1231,0048,183,000": "data:image/png;AAAFCAYAAACNbyblAAAAHElEQVQI12P4"
  *       }
  *     },
- *     "1 $Z": {
+ *     "0-$Z": {
  *       "name": "My Template",
+ *       "sortID": 1,
+ *       "authorID": "$Z",
  *       "URL": "https://github.com/SwingTheVine/Wplace-BlueMarble/blob/main/dist/assets/Favicon.png",
  *       "URLType": "template",
+ *       "etag": "\"5d8c72a5edda8d6a\"",
+ *       "lastModified": "Mon, 19 Oct 2026 12:00:00 GMT",
+ *       "hash": "2d711642b726b04401627ca9fbac32f5c8530fb1903cc4db02258717921a4881",
+ *       "lastSync": 1792411200000,
  *       "enabled": false,
  *       "tiles": {
  *         "375,1846,276,188": "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAA",
@@ -45,12 +73,13 @@ export default class TemplateManager {
     this.name = name; // Name of userscript
     this.version = version; // Version of userscript
     this.overlay = overlay; // The main instance of the Overlay class
-    this.templatesVersion = '1.0.0'; // Version of JSON schema
+    this.templatesVersion = templatesSchemaVersion; // Version of JSON schema
     this.userID = null; // The ID of the current user
     this.encodingBase = '!#$%&\'()*+,-./0123456789:;<=>?@ABCDEFGHIJKLMNOPQRSTUVWXYZ[]^_`abcdefghijklmnopqrstuvwxyz{|}~'; // Characters to use for encoding/decoding
     this.tileSize = 1000; // The number of pixels in a tile. Assumes the tile is square
     this.drawMult = 3; // The enlarged size for each pixel. E.g. when "3", a 1x1 pixel becomes a 1x1 pixel inside a 3x3 area. MUST BE ODD
     this.autoCoords = false; // Whether to automatically fill coordinates when clicking the map
+    this.colorAssist = false; // Whether to select the color a template expects when clicking the map
     
     // Template
     this.canvasTemplate = null; // Our canvas
@@ -62,6 +91,27 @@ export default class TemplateManager {
     this.templatesArray = []; // All Template instnaces currently loaded (Template)
     this.templatesJSON = null; // All templates currently loaded (JSON)
     this.templatesShouldBeDrawn = true; // Should ALL templates be drawn to the canvas?
+    this.templatesTileIndex = new Map(); // Tile ("0000,0000") -> chunks of enabled templates on that tile, sorted by draw priority
+    this.templatesIndexedTiles = new Map(); // Template -> tiles the template is currently indexed on
+    this.templatesRevision = 0; // Increases whenever the templates change how tiles are drawn. Part of the tile cache key, so old tiles are never reused
+    this.storage = new TemplateStorage(); // Stores the templates (IndexedDB, or userscript storage as a fallback)
+    this.tileCache = new TileCache(); // Tiles that already have the templates drawn on them
+    this.remoteRefreshInterval = 5 * 60 * 1000; // How often templates with a URL are refreshed, in milliseconds (5 minutes)
+    this.remoteRefreshTimer = null; // The interval that refreshes templates with a URL
+    this.remoteRefreshPromise = null; // The refresh that is running, if any. Refreshes never overlap, so templates are not created twice
+    this.focusColors = []; // Focus mode. Only template pixels of these colors ([red, green, blue]) are drawn normally. Empty when focus mode is off
+    this.focusOpacity = 0.15; // How opaque template pixels of other colors are drawn in focus mode (0 to 1)
+    this.focusFollowsPicker = false; // Does focus mode follow the color selected in the color picker of the website?
+    this.tilesViewed = new Map(); // Tile ("0000,0000") -> when the map last loaded the tile
+    this.tilesViewedTimeout = 60 * 1000; // How long a tile counts as in view after the map loaded it, in milliseconds (1 minute)
+    this.tilesLoaded = new Map(); // Tile ("0000,0000") -> the pixels placed on the tile, as the map last loaded it. The oldest tile is first
+    this.tilesLoadedLimit = 50; // The maximum number of tiles kept in `tilesLoaded`
+    this.recycleBinRetentionDefault = 7 * 24 * 60 * 60 * 1000; // How long deleted templates are kept, unless the JSON object says otherwise, in milliseconds (7 days)
+    this.historyUndo = []; // Changes that can be undone. The last change is last
+    this.historyRedo = []; // Changes that were undone, and can be redone. The last undone change is last
+    this.historyLimit = 50; // The maximum number of changes that can be undone
+    this.isHistoryPaused = false; // Are changes not recorded right now (e.g. while undoing)?
+    this.workerPool = new WorkerPool(undefined, (status) => this.#handleWorkerStatus(status)); // Renders tiles and chunks templates off of the main thread
   }
 
   /** Retrieves the pixel art canvas.
@@ -121,6 +171,7 @@ export default class TemplateManager {
    * @param {File} blob - The file blob to create a template from
    * @param {string} name - The display name of the template
    * @param {Array<number, number, number, number>} coords - The coordinates of the top left corner of the template
+   * @returns {Promise<string>} The key of the new template (e.g. "6f1c2a9e-3b7d-4c55-9a0e-2d8b1f4c7e31")
    * @since 0.65.77
    */
   async createTemplate(blob, name, coords) {
@@ -132,28 +183,34 @@ export default class TemplateManager {
 
     // Creates a new template instance
     const template = new Template({
+      id: this.#createTemplateID(),
       displayName: name,
-      sortID: Object.keys(this.templatesJSON.templates).length || 0,
+      sortID: this.#getNextSortID(), // Drawn above every other template
       authorID: numberToEncoded(this.userID || 0, this.encodingBase),
       file: blob,
       coords: coords
     });
     //template.chunked = await template.createTemplateTiles(this.tileSize); // Chunks the tiles
-    const { templateTiles, templateTilesBuffers } = await template.createTemplateTiles(this.tileSize); // Chunks the tiles
+    const { templateTiles, templateTilesBuffers } = await template.createTemplateTiles(this.workerPool); // Chunks the tiles
     template.chunked = templateTiles; // Stores the chunked tile bitmaps
 
     // Appends a child into the templates object
-    // The child's name is the number of templates already in the list (sort order) plus the encoded player ID
-    this.templatesJSON.templates[`${template.sortID} ${template.authorID}`] = {
+    // The child's name is the unique ID of the template. The sort order is stored separately, so it can change
+    this.templatesJSON.templates[template.id] = {
       "name": template.displayName, // Display name of template
+      "sortID": template.sortID, // Draw order of the template. Higher is drawn on top
+      "authorID": template.authorID, // The encoded player ID of the person who created the template
+      "createdAt": Date.now(), // When the template was created
       "coords": coords.join(', '), // The coords of the template
       "enabled": true,
+      "source": await template.createSourceBase64(), // The unshredded image, so the template can be chunked again without loss
   "tiles": templateTilesBuffers, // Stores the chunked tile buffers
   // Persist the exact pixel count so future imports are accurate without recomputation
   "pixelCount": template.pixelCount
     };
 
     this.templatesArray.push(template); // Pushes the Template object instance to the Template Array
+    this.#indexTemplate(template);
 
     // ==================== PIXEL COUNT DISPLAY SYSTEM ====================
     // Display pixel count statistics with internationalized number formatting
@@ -167,6 +224,10 @@ export default class TemplateManager {
     console.log(JSON.stringify(this.templatesJSON));
 
     await this.#storeTemplates();
+
+    this.#recordHistory(`Create "${name}"`, () => this.deleteTemplate(template.id), () => this.restoreTemplate(template.id));
+
+    return template.id;
   }
 
   /** Generates a {@link Template} class instance from the JSON object template
@@ -175,45 +236,271 @@ export default class TemplateManager {
 
   }
 
-  /** Stores the JSON object of the loaded templates into TamperMonkey (GreaseMonkey) storage.
+  /** Stores the JSON object of the loaded templates.
+   * Only the templates that changed are written (see {@link TemplateStorage}).
    * @since 0.72.7
    */
   async #storeTemplates() {
-    // Persist to userscript storage (scoped to @name/@namespace)
-    GM.setValue('bmTemplates', JSON.stringify(this.templatesJSON));
-    // ALSO persist to localStorage under a stable key so a future @name change can migrate data
-    try {
-      localStorage.setItem('BlueMarbleTemplates', JSON.stringify(this.templatesJSON));
-    } catch (e) {
-      console.warn('[BlueMarble] Failed to write localStorage backup for templates:', e);
-    }
+    await this.storage.save(this.templatesJSON);
   }
 
   /** Deletes a template from the JSON object.
-   * Also delete's the corresponding {@link Template} class instance
-   * @param {string} templateKey - The key of the template to delete (e.g. "0 $Z")
+   * Also delete's the corresponding {@link Template} class instance.
+   * Unless it is deleted permanently, the template is moved to the recycle bin, so it can be restored (see {@link restoreTemplate}).
+   * @param {string} templateKey - The key of the template to delete (e.g. "6f1c2a9e-3b7d-4c55-9a0e-2d8b1f4c7e31")
+   * @param {boolean} [isPermanent=false] - Whether to delete the template without moving it to the recycle bin
    * @since 0.80.0
    */
-  async deleteTemplate(templateKey) {
+  async deleteTemplate(templateKey, isPermanent = false) {
     // Creates the JSON object if it does not already exist
     if (!this.templatesJSON) {this.templatesJSON = await this.createJSON();}
 
+    const templateJSON = this.templatesJSON.templates[templateKey];
+
     // Remove from JSON object
-    if (this.templatesJSON.templates[templateKey]) {
+    if (templateJSON) {
       delete this.templatesJSON.templates[templateKey];
+
+      if (!isPermanent) {
+        // The tiles can be made again from the source image, so they are only kept when there is no source image
+        const { tiles, ...templateWithoutTiles } = templateJSON;
+        this.templatesJSON.recycleBin = this.templatesJSON.recycleBin || {};
+        this.templatesJSON.recycleBin[templateKey] = { template: templateJSON.source ? templateWithoutTiles : templateJSON, deletedAt: Date.now() };
+
+        this.#recordHistory(`Delete "${templateJSON.name}"`, () => this.restoreTemplate(templateKey), () => this.deleteTemplate(templateKey));
+      }
     }
 
-    // Remove from array by finding the template with matching sort ID and author ID
-    const [sortID, authorID] = templateKey.split(' ');
-    this.templatesArray = this.templatesArray.filter(template => 
-      !(template.sortID == Number(sortID) && template.authorID === authorID)
-    );
+    // Remove from array by finding the template with the matching ID
+    this.templatesArray = this.templatesArray.filter(template => {
+      const isDeleted = template.id === templateKey;
+      if (isDeleted) {this.#unindexTemplate(template);}
+      return !isDeleted;
+    });
+
+    this.#purgeRecycleBin();
+    await this.#storeTemplates();
+  }
+
+  /** Restores a template from the recycle bin.
+   * @param {string} templateKey - The key of the template to restore (e.g. "6f1c2a9e-3b7d-4c55-9a0e-2d8b1f4c7e31")
+   * @since 0.84.0
+   */
+  async restoreTemplate(templateKey) {
+
+    const recycled = this.templatesJSON?.recycleBin?.[templateKey];
+    if (!recycled) {
+      throw new Error(`Template "${templateKey}" is not in the recycle bin`);
+    }
+
+    if (this.templatesJSON.templates[templateKey]) {
+      throw new Error(`Template "${templateKey}" already exists`);
+    }
+
+    const templateJSON = recycled.template;
+
+    // Keeps its layer, unless another template took it in the meantime
+    if (Object.values(this.templatesJSON.templates).some(other => other.sortID === templateJSON.sortID)) {
+      templateJSON.sortID = this.#getNextSortID();
+    }
+
+    if (templateJSON.tiles) {
+      await this.#parseBlueMarble({ templates: { [templateKey]: templateJSON } });
+      if (!this.#findTemplate(templateKey)) {
+        throw new Error(`Template "${templateKey}" could not be loaded`);
+      }
+    } else {
+
+      // Only the source image was kept, so the template is chunked again
+      const coords = templateJSON.coords?.split(',').map(Number);
+      const template = new Template({
+        id: templateKey,
+        displayName: templateJSON.name,
+        sortID: templateJSON.sortID,
+        authorID: templateJSON.authorID || '',
+        enabled: templateJSON.enabled !== false,
+        renderMode: templateJSON.renderMode || 'all',
+        style: templateJSON.style || {},
+        url: templateJSON.URL || '',
+        file: new Blob([base64ToUint8(templateJSON.source)], { type: 'image/png' }),
+        coords: coords,
+        tileSize: this.tileSize
+      });
+      await this.#chunkTemplate(template, templateJSON);
+      this.templatesArray.push(template);
+    }
+
+    // Only moved out of the recycle bin once it was restored successfully
+    this.templatesJSON.templates[templateKey] = templateJSON;
+    delete this.templatesJSON.recycleBin[templateKey];
+
+    this.#recordHistory(`Restore "${templateJSON.name}"`, () => this.deleteTemplate(templateKey), () => this.restoreTemplate(templateKey));
 
     await this.#storeTemplates();
   }
 
+  /** Gets all templates in the recycle bin.
+   * @returns {Array<{key: string, name: string, deletedAt: number, expiresAt: number}>} The deleted templates, the most recently deleted first
+   * @since 0.84.0
+   */
+  getRecycledTemplates() {
+    const retention = this.getRecycleBinRetention();
+    return Object.entries(this.templatesJSON?.recycleBin || {})
+      .map(([key, recycled]) => ({
+        key: key,
+        name: recycled.template?.name || key,
+        deletedAt: recycled.deletedAt,
+        expiresAt: recycled.deletedAt + retention
+      }))
+      .sort((a, b) => b.deletedAt - a.deletedAt);
+  }
+
+  /** Deletes templates in the recycle bin permanently.
+   * @param {Array<string>} [templateKeys] - (Optional) The keys of the templates to delete. Empties the whole recycle bin when omitted
+   * @since 0.84.0
+   */
+  async emptyRecycleBin(templateKeys) {
+    if (!this.templatesJSON?.recycleBin) {return;}
+
+    for (const key of templateKeys || Object.keys(this.templatesJSON.recycleBin)) {
+      delete this.templatesJSON.recycleBin[key];
+    }
+
+    await this.#storeTemplates();
+  }
+
+  /** Retrieves how long deleted templates are kept in the recycle bin.
+   * @returns {number} The time in milliseconds
+   * @since 0.84.0
+   */
+  getRecycleBinRetention() {
+    return this.templatesJSON?.recycleBinRetention ?? this.recycleBinRetentionDefault;
+  }
+
+  /** Sets how long deleted templates are kept in the recycle bin.
+   * Templates that were deleted longer ago than that are deleted permanently right away.
+   * @param {number} retention - The time in milliseconds
+   * @since 0.84.0
+   */
+  async setRecycleBinRetention(retention) {
+    // Creates the JSON object if it does not already exist
+    if (!this.templatesJSON) {this.templatesJSON = await this.createJSON();}
+
+    if (!(retention >= 0)) {
+      throw new Error('The retention must be a positive number of milliseconds');
+    }
+
+    this.templatesJSON.recycleBinRetention = retention;
+    this.#purgeRecycleBin();
+    await this.#storeTemplates();
+  }
+
+  /** Permanently deletes the templates that have been in the recycle bin for longer than the retention.
+   * @returns {number} The number of templates deleted
+   * @since 0.84.0
+   */
+  #purgeRecycleBin() {
+
+    const recycleBin = this.templatesJSON?.recycleBin || {};
+    const retention = this.getRecycleBinRetention();
+    let purgedCount = 0;
+
+    for (const [key, recycled] of Object.entries(recycleBin)) {
+      if (!(Date.now() - recycled.deletedAt <= retention)) { // Also purges entries without a valid date
+        delete recycleBin[key];
+        purgedCount++;
+      }
+    }
+
+    return purgedCount;
+  }
+
+  /** Undoes the last change.
+   * @returns {Promise<string|null>} What was undone, or null if there is nothing to undo
+   * @since 0.84.0
+   */
+  async undo() {
+
+    const change = this.historyUndo.pop();
+    if (!change) {return null;}
+
+    try {
+      await this.#withoutHistory(change.undo);
+    } catch (exception) {
+      this.historyUndo.push(change); // Keeps the change, so it is not lost
+      throw exception;
+    }
+    this.historyRedo.push(change);
+
+    return change.label;
+  }
+
+  /** Redoes the last change that was undone.
+   * @returns {Promise<string|null>} What was redone, or null if there is nothing to redo
+   * @since 0.84.0
+   */
+  async redo() {
+
+    const change = this.historyRedo.pop();
+    if (!change) {return null;}
+
+    try {
+      await this.#withoutHistory(change.redo);
+    } catch (exception) {
+      this.historyRedo.push(change); // Keeps the change, so it is not lost
+      throw exception;
+    }
+    this.historyUndo.push(change);
+
+    return change.label;
+  }
+
+  /** Retrieves what would be undone, and redone, next.
+   * @returns {{undo: string|null, redo: string|null}} The labels of the changes, or null if there is nothing to undo or redo
+   * @since 0.84.0
+   */
+  getHistory() {
+    return {
+      undo: this.historyUndo.at(-1)?.label || null,
+      redo: this.historyRedo.at(-1)?.label || null
+    };
+  }
+
+  /** Records a change, so it can be undone.
+   * Recording a change forgets the changes that could be redone.
+   * @param {string} label - What changed (e.g. 'Rename "My Template"')
+   * @param {function():Promise<void>} undo - Undoes the change
+   * @param {function():Promise<void>} redo - Does the change again
+   * @since 0.84.0
+   */
+  #recordHistory(label, undo, redo) {
+
+    if (this.isHistoryPaused) {return;} // The change is part of another change, or is undoing one
+
+    this.historyUndo.push({ label, undo, redo });
+    if (this.historyUndo.length > this.historyLimit) {this.historyUndo.shift();}
+    this.historyRedo = [];
+  }
+
+  /** Runs a function without recording its changes.
+   * @param {function():Promise<*>} callback - The function to run
+   * @returns {Promise<*>} What the function returns
+   * @since 0.84.0
+   */
+  async #withoutHistory(callback) {
+
+    const wasPaused = this.isHistoryPaused;
+    this.isHistoryPaused = true;
+
+    try {
+      return await callback();
+    } finally {
+      this.isHistoryPaused = wasPaused;
+    }
+  }
+
   /** Enables or disables a specific template from view
-   * @param {string} templateKey - The key of the template to toggle (e.g. "0 $Z")
+   * @param {string} templateKey - The key of the template to toggle (e.g. "6f1c2a9e-3b7d-4c55-9a0e-2d8b1f4c7e31")
    * @param {boolean} enabled - Whether the template should be enabled
    * @since 0.80.0
    */
@@ -221,25 +508,29 @@ export default class TemplateManager {
     // Creates the JSON object if it does not already exist
     if (!this.templatesJSON) {this.templatesJSON = await this.createJSON();}
 
+    const templateJSON = this.templatesJSON.templates[templateKey];
+
     // Update the enabled state in JSON
-    if (this.templatesJSON.templates[templateKey]) {
-      this.templatesJSON.templates[templateKey].enabled = enabled;
+    if (templateJSON) {
+      if (templateJSON.enabled !== enabled) {
+        this.#recordHistory(`${enabled ? 'Enable' : 'Disable'} "${templateJSON.name}"`, () => this.toggleTemplate(templateKey, !enabled), () => this.toggleTemplate(templateKey, enabled));
+      }
+      templateJSON.enabled = enabled;
     }
 
     // Update the enabled state in the template array
-    const [sortID, authorID] = templateKey.split(' ');
-    const template = this.templatesArray.find(t => 
-      t.sortID == Number(sortID) && t.authorID === authorID
-    );
+    const template = this.#findTemplate(templateKey);
     if (template) {
       template.enabled = enabled;
+      this.#indexTemplate(template);
     }
 
     await this.#storeTemplates();
   }
 
-  /** Updates the coordinates of a specific template
-   * @param {string} templateKey - The key of the template to update (e.g. "0 $Z")
+  /** Updates the coordinates of a specific template.
+   * The template is chunked again at the new coordinates, so the overlay moves with it.
+   * @param {string} templateKey - The key of the template to update (e.g. "6f1c2a9e-3b7d-4c55-9a0e-2d8b1f4c7e31")
    * @param {Array<number>} newCoords - New coordinates [tileX, tileY, pixelX, pixelY]
    * @since 0.81.1
    */
@@ -258,18 +549,26 @@ export default class TemplateManager {
       throw new Error('All coordinates must be valid numbers');
     }
 
+    if (tileX < 0 || tileY < 0 || pixelX < 0 || pixelY < 0 || pixelX >= this.tileSize || pixelY >= this.tileSize) {
+      throw new Error(`Coordinates must be positive, and pixel coordinates must be less than ${this.tileSize}`);
+    }
+
+    const templateJSON = this.templatesJSON.templates[templateKey];
+
     // Update coordinates in JSON
-    if (this.templatesJSON.templates[templateKey]) {
-      this.templatesJSON.templates[templateKey].coords = newCoords.join(', ');
+    if (templateJSON) {
+      const oldCoords = templateJSON.coords?.split(',').map(Number);
+      if (oldCoords?.length === 4 && oldCoords.join(', ') !== newCoords.join(', ')) {
+        this.#recordHistory(`Move "${templateJSON.name}"`, () => this.updateTemplateCoordinates(templateKey, oldCoords), () => this.updateTemplateCoordinates(templateKey, newCoords));
+      }
+      templateJSON.coords = newCoords.join(', ');
     }
 
     // Update coordinates in the template array
-    const [sortID, authorID] = templateKey.split(' ');
-    const template = this.templatesArray.find(t => 
-      t.sortID == Number(sortID) && t.authorID === authorID
-    );
+    const template = this.#findTemplate(templateKey);
     if (template) {
-      template.coords = newCoords;
+      template.coords = [tileX, tileY, pixelX, pixelY];
+      await this.#chunkTemplate(template, templateJSON); // Chunks the template again at the new coordinates
     }
 
     await this.#storeTemplates();
@@ -278,305 +577,1576 @@ export default class TemplateManager {
     return `Template coordinates updated to: ${newCoords.join(', ')}`;
   }
 
-  /** Gets all templates with their metadata
-   * @returns {Array} Array of template objects with metadata
-   * @since 0.80.0
+  /** Chunks a template again from its source image.
+   * This should be used after anything that changes how the template is chunked (e.g. the coordinates, or the source image).
+   * @param {string} templateKey - The key of the template to rebuild (e.g. "6f1c2a9e-3b7d-4c55-9a0e-2d8b1f4c7e31")
+   * @param {Blob} [file] - (Optional) A new source image for the template
+   * @since 0.84.0
    */
-  getAllTemplates() {
-    if (!this.templatesJSON || !this.templatesJSON.templates) {
-      return [];
+  async rebuildTemplate(templateKey, file) {
+
+    const template = this.#findTemplate(templateKey);
+
+    if (!template) {
+      throw new Error(`Template "${templateKey}" is not loaded`);
     }
 
-    return Object.entries(this.templatesJSON.templates).map(([key, template]) => ({
-      key: key,
-      name: template.name,
-      coords: template.coords,
-      enabled: template.enabled,
-  // Prefer runtime template instance pixelCount; fallback to persisted JSON pixelCount; else 0
-  pixelCount: this.templatesArray.find(t => `${t.sortID} ${t.authorID}` === key)?.pixelCount || template.pixelCount || 0
-    }));
+    if (file) {template.file = file;} // Replaces the source image
+
+    await this.#chunkTemplate(template, this.templatesJSON?.templates?.[templateKey]);
+    await this.#storeTemplates();
   }
 
-  /** Draws all templates on the specified tile.
-   * This method handles the rendering of template overlays on individual tiles.
-   * @param {File} tileBlob - The pixels that are placed on a tile
-   * @param {Array<number>} tileCoords - The tile coordinates [x, y]
-   * @since 0.65.77
+  /** Transforms the source image of a template, and chunks the template again.
+   * Trimming moves the coordinates of the template, so the pixels that are kept stay where they are on the canvas.
+   * @param {string} templateKey - The key of the template to transform (e.g. "6f1c2a9e-3b7d-4c55-9a0e-2d8b1f4c7e31")
+   * @param {string} transform - The transform (see {@link Template#createTransformedFile})
+   * @param {number} [factor=2] - How many times larger, or smaller, the template is scaled. Only used by 'scaleUp' and 'scaleDown'
+   * @returns {Promise<string>} The result message
+   * @since 0.84.0
    */
-  async drawTemplateOnTile(tileBlob, tileCoords) {
+  async transformTemplate(templateKey, transform, factor = 2) {
 
-    // Returns early if no templates should be drawn
-    if (!this.templatesShouldBeDrawn) {return tileBlob;}
+    const template = this.#findTemplate(templateKey);
 
-    const drawSize = this.tileSize * this.drawMult; // Calculate draw multiplier for scaling
+    if (!template) {
+      throw new Error(`Template "${templateKey}" is not loaded`);
+    }
 
-    // Format tile coordinates with proper padding for consistent lookup
-    tileCoords = tileCoords[0].toString().padStart(4, '0') + ',' + tileCoords[1].toString().padStart(4, '0');
+    if (!template.coords) {
+      throw new Error('Template does not have any coordinates');
+    }
 
-    console.log(`Searching for templates in tile: "${tileCoords}"`);
+    if (!template.file) {
+      template.file = await template.createFileFromChunks();
+    }
 
-    const templateArray = this.templatesArray; // Stores a copy for sorting
-    console.log(templateArray);
+    const labels = {
+      trim: 'Trimmed',
+      flipHorizontal: 'Flipped horizontally',
+      flipVertical: 'Flipped vertically',
+      rotateClockwise: 'Rotated clockwise',
+      rotateCounterclockwise: 'Rotated counterclockwise',
+      scaleUp: `Scaled up ${factor}x`,
+      scaleDown: `Scaled down ${factor}x`
+    };
 
-    // Sorts the array of Template class instances. 0 = first = lowest draw priority
-    templateArray.sort((a, b) => {return a.sortID - b.sortID;});
+    const fileOld = template.file;
+    const coordsOld = [...template.coords];
+    const { file, offsetX, offsetY } = await template.createTransformedFile(transform, factor);
 
-    console.log(templateArray);
+    // Absolute pixel position of the top left corner, after trimming
+    const absoluteX = (coordsOld[0] * this.tileSize) + coordsOld[2] + offsetX;
+    const absoluteY = (coordsOld[1] * this.tileSize) + coordsOld[3] + offsetY;
+    const coords = [
+      Math.floor(absoluteX / this.tileSize),
+      Math.floor(absoluteY / this.tileSize),
+      negativeSafeModulo(absoluteX, this.tileSize),
+      negativeSafeModulo(absoluteY, this.tileSize)
+    ];
 
-    // Retrieves the relavent template tile blobs
-    const templatesToDraw = templateArray
-      .filter(template => template.enabled) // Only include enabled templates
-      .map(template => {
-        const matchingTiles = Object.keys(template.chunked).filter(tile =>
-          tile.startsWith(tileCoords)
-        );
+    await this.#replaceTemplateSource(templateKey, file, coords);
 
-        if (matchingTiles.length === 0) {return null;} // Return null when nothing is found
+    this.#recordHistory(`${labels[transform]} "${template.displayName}"`, () => this.#replaceTemplateSource(templateKey, fileOld, coordsOld), () => this.#replaceTemplateSource(templateKey, file, coords));
 
-        // Retrieves the blobs of the templates for this tile
-        const matchingTileBlobs = matchingTiles.map(tile => {
+    return `${labels[transform]} "${template.displayName}". It has ${new Intl.NumberFormat().format(template.pixelCount)} pixels now`;
+  }
 
-          const coords = tile.split(','); // [x, y, x, y] Tile/pixel coordinates
-          
-          return {
-            bitmap: template.chunked[tile],
-            tileCoords: [coords[0], coords[1]],
-            pixelCoords: [coords[2], coords[3]]
-          }
-        });
+  /** Replaces colors across a whole template, and chunks the template again.
+   * This is useful to swap a color that can not be placed (e.g. a premium color) for one that can.
+   * @param {string} templateKey - The key of the template to remap (e.g. "6f1c2a9e-3b7d-4c55-9a0e-2d8b1f4c7e31")
+   * @param {Object<string, Array<number>|null>} colorMap - The colors to replace ("#rrggbb") -> the color to replace them with as [red, green, blue], or null to make them transparent
+   * @returns {Promise<string>} The result message
+   * @since 0.84.0
+   */
+  async remapTemplateColors(templateKey, colorMap) {
 
-        return matchingTileBlobs?.[0];
-      })
-    .filter(Boolean);
+    const template = this.#findTemplate(templateKey);
 
-    console.log(templatesToDraw);
+    if (!template) {
+      throw new Error(`Template "${templateKey}" is not loaded`);
+    }
 
-    const templateCount = templatesToDraw?.length || 0; // Number of templates to draw on this tile
-    console.log(`templateCount = ${templateCount}`);
+    if (!template.coords) {
+      throw new Error('Template does not have any coordinates');
+    }
 
-    if (templateCount > 0) {
-      
-      // Calculate total pixel count for templates actively being displayed in this tile
-      const totalPixels = templateArray
-        .filter(template => {
-          // Filter templates to include only those with tiles matching current coordinates AND are enabled
-          // This ensures we count pixels only for templates actually being rendered
-          const matchingTiles = Object.keys(template.chunked).filter(tile =>
-            tile.startsWith(tileCoords)
-          );
-          return matchingTiles.length > 0 && template.enabled;
-        })
-        .reduce((sum, template) => sum + (template.pixelCount || 0), 0);
-      
-      // Format pixel count with locale-appropriate thousands separators for better readability
-      // Examples: "1,234,567" (US), "1.234.567" (DE), "1 234 567" (FR)
-      const pixelCountFormatted = new Intl.NumberFormat().format(totalPixels);
-      
-      // Display status information about the templates being rendered
-      this.overlay.handleDisplayStatus(
-        `Displaying ${templateCount} template${templateCount == 1 ? '' : 's'}.\nTotal pixels: ${pixelCountFormatted}`
-      );
-    } else {
-      this.overlay.handleDisplayStatus(`Displaying ${templateCount} templates.`);
+    if (Object.keys(colorMap).length == 0) {
+      throw new Error('No colors to remap');
     }
-    
-    const tileBitmap = await createImageBitmap(tileBlob);
 
-    const canvas = new OffscreenCanvas(drawSize, drawSize);
-    const context = canvas.getContext('2d');
+    if (!template.file) {
+      template.file = await template.createFileFromChunks();
+    }
 
-    context.imageSmoothingEnabled = false; // Nearest neighbor
+    const fileOld = template.file;
+    const coords = [...template.coords];
+    const { file, changedPixels } = await template.createRemappedFile(colorMap);
 
-    // Tells the canvas to ignore anything outside of this area
-    context.beginPath();
-    context.rect(0, 0, drawSize, drawSize);
-    context.clip();
+    await this.#replaceTemplateSource(templateKey, file, coords);
 
-    context.clearRect(0, 0, drawSize, drawSize); // Draws transparent background
-    context.drawImage(tileBitmap, 0, 0, drawSize, drawSize);
+    const colorCount = Object.keys(colorMap).length;
+    this.#recordHistory(`Remap ${colorCount} color${colorCount == 1 ? '' : 's'} of "${template.displayName}"`, () => this.#replaceTemplateSource(templateKey, fileOld, coords), () => this.#replaceTemplateSource(templateKey, file, coords));
 
-    // For each template in this tile, draw them.
-    for (const template of templatesToDraw) {
-      console.log(`Template:`);
-      console.log(template);
+    return `Remapped ${new Intl.NumberFormat().format(changedPixels)} pixels of "${template.displayName}"`;
+  }
+
+  /** Replaces the source image, and coordinates, of a template, and chunks the template again.
+   * @param {string} templateKey - The key of the template (e.g. "6f1c2a9e-3b7d-4c55-9a0e-2d8b1f4c7e31")
+   * @param {Blob} file - The new source image
+   * @param {Array<number>} coords - The new coordinates of the top left corner as (tileX, tileY, pixelX, pixelY)
+   * @since 0.84.0
+   */
+  async #replaceTemplateSource(templateKey, file, coords) {
 
-      // Draws the each template on the tile based on it's relative position
-      context.drawImage(template.bitmap, Number(template.pixelCoords[0]) * this.drawMult, Number(template.pixelCoords[1]) * this.drawMult);
+    const template = this.#findTemplate(templateKey);
+    if (!template) {
+      throw new Error(`Template "${templateKey}" is not loaded`);
     }
 
-    return await canvas.convertToBlob({ type: 'image/png' });
+    template.coords = [...coords];
+
+    const templateJSON = this.templatesJSON?.templates?.[templateKey];
+    if (templateJSON) {templateJSON.coords = coords.join(', ');}
+
+    await this.rebuildTemplate(templateKey, file);
   }
 
-  /** Imports the JSON object, and appends it to any JSON object already loaded
-   * @param {string} json - The JSON string to parse
+  /** Chunks a template from its source image, and updates the JSON object of the template to match.
+   * Templates without a source image have their source image rebuilt from the existing chunks first.
+   * @param {Template} template - The template to chunk
+   * @param {Object} [templateJSON] - The JSON object of the template
+   * @since 0.84.0
    */
-  async importJSON(json) {
-
-    console.log(`Importing JSON...`);
-    console.log(json);
+  async #chunkTemplate(template, templateJSON) {
 
-    // Determine acceptable identifiers (legacy + current script name sans spaces)
-    const currentName = (this.name || '').replace(/\s+/g, '');
-    // Accept legacy and common typo variants so user renames don't drop data
-    const acceptedWhoami = ['BlueMarble', 'BluePeanits', 'BluePeanuts', currentName];
+    if (!template.file) {
+      template.file = await template.createFileFromChunks();
+    }
 
-    // If object lacks whoami but has a templates map, assume it's ours and inject an identifier
-    if (!json?.whoami && json?.templates && typeof json.templates === 'object') {
-      json.whoami = currentName;
+    if (!template.file || !template.coords) {
+      throw new Error('Template does not have a source image or coordinates to rebuild from');
     }
 
-    if (json && acceptedWhoami.includes(json?.whoami)) {
-      // Initialize or merge templatesJSON so later saves don't overwrite imported data
-      if (!this.templatesJSON) {
-        // Store original object so subsequent createTemplate() appends instead of recreating
-        this.templatesJSON = json;
-      } else if (json?.templates) {
-        // Merge any templates not already present
-        for (const key of Object.keys(json.templates)) {
-          if (!this.templatesJSON.templates[key]) {
-            this.templatesJSON.templates[key] = json.templates[key];
-          }
-        }
-      }
-      // Parse templates into runtime array (legacy parser builds template instances)
-  await this.#parseBlueMarble(json).catch(e => console.error('[BlueMarble] Failed to parse templates:', e));
-    } else {
-      console.warn(`Template JSON 'whoami' ("${json?.whoami}") did not match any accepted identifiers: ${acceptedWhoami.join(', ')}`);
+    const { templateTiles, templateTilesBuffers } = await template.createTemplateTiles(this.workerPool);
+    template.chunked = templateTiles;
+    this.#indexTemplate(template); // The template might be on different tiles now
+
+    if (templateJSON) {
+      templateJSON.tiles = templateTilesBuffers;
+      templateJSON.pixelCount = template.pixelCount;
+      templateJSON.source = await template.createSourceBase64();
     }
   }
 
-  /** Parses the Blue Peanits JSON object
-   * @param {string} json - The JSON string to parse
-   * @since 0.72.13
+  /** Moves a template by a number of pixels.
+   * Moving past the edge of a tile moves the template onto the next tile.
+   * @param {string} templateKey - The key of the template to move (e.g. "6f1c2a9e-3b7d-4c55-9a0e-2d8b1f4c7e31")
+   * @param {number} deltaX - How many pixels to move right (negative moves left)
+   * @param {number} deltaY - How many pixels to move down (negative moves up)
+   * @returns {Promise<string>} The result message
+   * @since 0.84.0
    */
-  async #parseBlueMarble(json) {
+  async moveTemplate(templateKey, deltaX, deltaY) {
 
-    console.log(`Parsing BlueMarble...`);
+    const coords = this.templatesJSON?.templates?.[templateKey]?.coords?.split(',').map(Number);
 
-    const templates = json.templates;
+    if (!coords || coords.length !== 4) {
+      throw new Error('Template does not have any coordinates to move from');
+    }
 
-    console.log(`BlueMarble length: ${Object.keys(templates).length}`);
+    // Absolute pixel position of the top left corner, after moving
+    const absoluteX = (coords[0] * this.tileSize) + coords[2] + deltaX;
+    const absoluteY = (coords[1] * this.tileSize) + coords[3] + deltaY;
 
-    if (Object.keys(templates).length > 0) {
+    if (absoluteX < 0 || absoluteY < 0) {
+      throw new Error('Template can not be moved past the edge of the canvas');
+    }
 
-      for (const template in templates) {
+    return await this.updateTemplateCoordinates(templateKey, [
+      Math.floor(absoluteX / this.tileSize),
+      Math.floor(absoluteY / this.tileSize),
+      negativeSafeModulo(absoluteX, this.tileSize),
+      negativeSafeModulo(absoluteY, this.tileSize)
+    ]);
+  }
 
-        const templateKey = template;
-        const templateValue = templates[template];
-        console.log(templateKey);
+  /** Subscribes to a template hosted on another website.
+   * The template is downloaded now, and refreshed automatically afterwards (see {@link startRemoteRefresh}).
+   * @param {string} url - The URL of the template
+   * @param {string} urlType - What the URL points to. Either 'template' (an image) or 'json' (a Blue Marble, or osu!place, JSON object of templates)
+   * @param {string} [name] - (Optional) The display name of the template. Only used when the URL type is 'template'
+   * @param {Array<number>} [coords] - The coordinates of the top left corner of the template. Required when the URL type is 'template'
+   * @returns {Promise<string>} The result message
+   * @since 0.84.0
+   */
+  async subscribeTemplate(url, urlType, name, coords) {
 
-        if (templates.hasOwnProperty(template)) {
+    if (!['template', 'json'].includes(urlType)) {
+      throw new Error(`Unknown URL type "${urlType}"`);
+    }
 
-          const templateKeyArray = templateKey.split(' '); // E.g., "0 $Z" -> ["0", "$Z"]
-          const sortID = Number(templateKeyArray?.[0]); // Sort ID of the template
-          const authorID = templateKeyArray?.[1] || '0'; // User ID of the person who exported the template
-          const displayName = templateValue.name || `Template ${sortID || ''}`; // Display name of the template
-          const enabled = templateValue.enabled !== undefined ? templateValue.enabled : true; // Whether template is enabled
-          //const coords = templateValue?.coords?.split(',').map(Number); // "1,2,3,4" -> [1, 2, 3, 4]
-          const tilesbase64 = templateValue.tiles;
-          const templateTiles = {}; // Stores the template bitmap tiles for each tile.
-
-          for (const tile in tilesbase64) {
-            console.log(tile);
-            if (tilesbase64.hasOwnProperty(tile)) {
-              const encodedTemplateBase64 = tilesbase64[tile];
-              const templateUint8Array = base64ToUint8(encodedTemplateBase64); // Base 64 -> Uint8Array
-
-              const templateBlob = new Blob([templateUint8Array], { type: "image/png" }); // Uint8Array -> Blob
-              const templateBitmap = await createImageBitmap(templateBlob) // Blob -> Bitmap
-              templateTiles[tile] = templateBitmap;
-            }
-          }
+    if (urlType == 'template' && coords?.length !== 4) {
+      throw new Error('Templates from an image URL need coordinates');
+    }
 
-          // Creates a new Template class instance
-          const template = new Template({
-            displayName: displayName,
-            sortID: sortID || this.templatesArray?.length || 0,
-            authorID: authorID || '',
-            enabled: enabled
-            //coords: coords
-          });
-          template.chunked = templateTiles;
-          
-          // Accurate pixel count resolution:
-          // If the JSON already persisted an exact pixelCount, trust it.
-          // Otherwise, reconstruct the count from the shredded 3× scaled tile bitmaps.
-          if (typeof templateValue.pixelCount === 'number' && templateValue.pixelCount >= 0) {
-            template.pixelCount = templateValue.pixelCount;
-          } else {
-            try {
-              template.pixelCount = await this.#computePixelCountFromTiles(templateTiles);
-              // Persist back so subsequent saves keep the improved value
-              templateValue.pixelCount = template.pixelCount;
-            } catch (e) {
-              console.warn('[BlueMarble] Failed to compute precise pixel count; falling back to heuristic:', e);
-              const tileCount = Object.keys(templateTiles).length || 1;
-              template.pixelCount = tileCount * 500; // fallback heuristic
-              templateValue.pixelCount = template.pixelCount;
-            }
-          }
-          
-          this.templatesArray.push(template);
-          console.log(this.templatesArray);
-          console.log(`^^^ This ^^^`);
-        }
-      }
+    if (Object.values(this.templatesJSON?.templates || {}).some(templateJSON => templateJSON.URL == url)) {
+      throw new Error('You are already subscribed to this URL');
     }
+
+    const { keys } = await this.#refreshRemote(url, urlType, [], { name, coords });
+
+    return `Subscribed to ${keys.length} template${keys.length == 1 ? '' : 's'} from ${url}`;
   }
 
-  /** Parses the OSU! Place JSON object
+  /** Refreshes all templates that have a URL, once now and then on an interval.
+   * Calling this again restarts the interval.
+   * @since 0.84.0
    */
-  #parseOSU() {
+  startRemoteRefresh() {
+    clearInterval(this.remoteRefreshTimer);
+    this.refreshRemoteTemplates();
+    this.remoteRefreshTimer = setInterval(() => this.refreshRemoteTemplates(), this.remoteRefreshInterval);
+  }
 
+  /** Refreshes all templates that have a URL.
+   * Templates that did not change on the remote website are not chunked again.
+   * If a refresh is already running, that refresh is returned instead of starting another one.
+   * @returns {Promise<number>} The number of URLs that changed
+   * @since 0.84.0
+   */
+  refreshRemoteTemplates() {
+    if (!this.remoteRefreshPromise) {
+      this.remoteRefreshPromise = this.#refreshRemoteTemplates().finally(() => {this.remoteRefreshPromise = null;});
+    }
+    return this.remoteRefreshPromise;
   }
 
-  /** Updates the display name of a specific template
-   * @param {string} templateKey - The key of the template to update (e.g. "0 $Z")
-   * @param {string} newName - The new display name for the template
-   * @since 0.81.1
+  /** Refreshes all templates that have a URL. Only called by {@link refreshRemoteTemplates}.
+   * @returns {Promise<number>} The number of URLs that changed
+   * @since 0.84.0
    */
-  async updateTemplateName(templateKey, newName) {
-    // Creates the JSON object if it does not already exist
-    if (!this.templatesJSON) {this.templatesJSON = await this.createJSON();}
+  async #refreshRemoteTemplates() {
 
-    // Update the name in JSON
-    if (this.templatesJSON.templates[templateKey]) {
-      this.templatesJSON.templates[templateKey].name = newName;
+    // Groups the template keys by URL, since one JSON URL can contain many templates
+    const subscriptions = new Map();
+    for (const [key, templateJSON] of Object.entries(this.templatesJSON?.templates || {})) {
+      if (!templateJSON.URL) {continue;}
+
+      const subscription = subscriptions.get(templateJSON.URL) || { urlType: templateJSON.URLType || 'template', keys: [] };
+      subscription.keys.push(key);
+      subscriptions.set(templateJSON.URL, subscription);
     }
 
-    // Update the name in the template array
-    const [sortID, authorID] = templateKey.split(' ');
-    const template = this.templatesArray.find(t => 
-      t.sortID == Number(sortID) && t.authorID === authorID
-    );
-    if (template) {
-      template.displayName = newName;
+    let changedCount = 0;
+
+    for (const [url, subscription] of subscriptions) {
+      try {
+        const { changed } = await this.#refreshRemote(url, subscription.urlType, subscription.keys);
+        if (changed) {changedCount++;}
+      } catch (exception) {
+        console.warn(`[BlueMarble] Failed to refresh the templates from "${url}":`, exception);
+      }
     }
 
-    await this.#storeTemplates();
-  }
+    if (changedCount > 0) {
+      this.overlay.handleDisplayStatus(`Updated the templates from ${changedCount} URL${changedCount == 1 ? '' : 's'}!`);
+      if (window.refreshTemplateList) {window.refreshTemplateList();}
+    }
 
-  /** Sets the `templatesShouldBeDrawn` boolean to a value.
-   * @param {boolean} value - The value to set the boolean to
-   * @since 0.73.7
-   */
-  setTemplatesShouldBeDrawn(value) {
-    this.templatesShouldBeDrawn = value;
+    return changedCount;
   }
 
-  /** Sets all templates to enabled or disabled
-   * @param {boolean} enabled - Whether all templates should be enabled
-   * @since 0.80.0
+  /** Downloads the templates from a URL, and updates the local templates to match.
+   * The ETag and Last-Modified headers are sent back, so unchanged files are not downloaded again.
+   * Files are also hashed, so a file that was downloaded again without changes is not chunked again.
+   * @param {string} url - The URL of the templates
+   * @param {string} urlType - What the URL points to. Either 'template' or 'json'
+   * @param {Array<string>} keys - The keys of the local templates that came from this URL
+   * @param {{name?: string, coords?: Array<number>}} [defaults={}] - The display name and coordinates of new 'template' subscriptions
+   * @returns {Promise<{keys: Array<string>, changed: boolean}>} The keys of the local templates that came from this URL after refreshing, and whether they changed
+   * @since 0.84.0
    */
-  async setAllTemplatesEnabled(enabled) {
-    const templates = this.getAllTemplates();
-    for (const template of templates) {
-      await this.toggleTemplate(template.key, enabled);
+  async #refreshRemote(url, urlType, keys, defaults = {}) {
+
+    const templates = this.templatesJSON?.templates || {};
+    const previous = templates[keys[0]]; // Every template from this URL has the same sync state
+
+    // Asks the website to only send the file if it changed
+    const headers = {};
+    if (previous?.etag) {headers['If-None-Match'] = previous.etag;}
+    if (previous?.lastModified) {headers['If-Modified-Since'] = previous.lastModified;}
+
+    const { status, headers: responseHeaders, response } = await requestRemote(url, {
+      headers: headers,
+      responseType: urlType == 'json' ? 'text' : 'blob'
+    });
+
+    // Anything other than "not modified" or a 2xx status is an error
+    if (status != 304 && (status < 200 || status >= 300)) {
+      throw new Error(`"${url}" responded with ${status}`);
     }
+
+    const hash = status == 304 ? previous?.hash : await hashBlob(new Blob([response]));
+
+    // Only updates the templates if the file changed
+    const changed = status != 304 && hash != previous?.hash;
+    if (changed) {
+
+      let remoteTemplates = [];
+
+      if (urlType == 'template') {
+
+        const coords = defaults.coords || previous?.coords?.split(',').map(Number); // Keeps the coordinates of the local template
+        remoteTemplates = [{ remoteID: url, name: defaults.name || previous?.name || url.split('/').pop(), coords, blob: response }];
+      } else {
+        remoteTemplates = await this.#readRemoteJSON(JSON.parse(response));
+      }
+
+      // An empty file is rejected, instead of deleting every template from this URL. The templates are kept until the file has templates again
+      if (remoteTemplates.length == 0) {
+        throw new Error(`"${url}" does not contain any templates`);
+      }
+
+      keys = await this.#applyRemoteTemplates(url, urlType, keys, remoteTemplates);
+    }
+
+    // Remembers the sync state, so the next refresh can ask for changes only
+    for (const key of keys) {
+      Object.assign(this.templatesJSON.templates[key], {
+        etag: responseHeaders['etag'] || previous?.etag || '',
+        lastModified: responseHeaders['last-modified'] || previous?.lastModified || '',
+        hash: hash,
+        lastSync: Date.now()
+      });
+    }
+
+    await this.#storeTemplates();
+    return { keys, changed };
+  }
+
+  /** Reads the templates in a remote JSON object.
+   * @param {Object} json - A Blue Marble, or osu!place, JSON object
+   * @returns {Promise<Array<{remoteID: string, name: string, coords: Array<number>, blob: Blob}>>} The templates
+   * @since 0.84.0
+   */
+  async #readRemoteJSON(json) {
+
+    if (Array.isArray(json?.templates)) {
+      return await this.#downloadOSUTemplates(json);
+    }
+
+    if (!json?.templates || typeof json.templates !== 'object') {
+      throw new Error('The JSON object does not contain any templates');
+    }
+
+    // Upgrades older JSON objects, and skips broken templates
+    migrateTemplatesJSON(json);
+    quarantineInvalidTemplates(json, this.tileSize);
+
+    const remoteTemplates = [];
+
+    for (const [key, templateValue] of Object.entries(json.templates)) {
+
+      const coords = templateValue?.coords?.split(',').map(Number);
+      if (coords?.length !== 4 || coords.some(coord => isNaN(coord))) {
+        console.warn(`[BlueMarble] Skipping remote template "${key}" because it has no coordinates`);
+        continue;
+      }
+
+      let blob = templateValue.source ? new Blob([base64ToUint8(templateValue.source)], { type: 'image/png' }) : null;
+
+      // Templates without a source image have it rebuilt from their chunks
+      if (!blob && templateValue.tiles) {
+        const template = new Template({ tileSize: this.tileSize, chunked: {} });
+        for (const [tile, tileBase64] of Object.entries(templateValue.tiles)) {
+          template.chunked[tile] = await createImageBitmap(new Blob([base64ToUint8(tileBase64)], { type: 'image/png' }));
+        }
+        blob = await template.createFileFromChunks();
+      }
+
+      if (!blob) {
+        console.warn(`[BlueMarble] Skipping remote template "${key}" because it has no image`);
+        continue;
+      }
+
+      remoteTemplates.push({ remoteID: key, name: templateValue.name || key, coords, blob });
+    }
+
+    return remoteTemplates;
+  }
+
+  /** Updates the local templates from a URL to match the remote templates.
+   * Remote templates are matched to local templates by their remote ID.
+   * New remote templates are created, and local templates that were removed from the remote are deleted.
+   * @param {string} url - The URL of the templates
+   * @param {string} urlType - What the URL points to. Either 'template' or 'json'
+   * @param {Array<string>} keys - The keys of the local templates that came from this URL
+   * @param {Array<{remoteID: string, name: string, coords: Array<number>, blob: Blob}>} remoteTemplates - The templates on the remote
+   * @returns {Promise<Array<string>>} The keys of the local templates that came from this URL, after updating
+   * @since 0.84.0
+   */
+  async #applyRemoteTemplates(url, urlType, keys, remoteTemplates) {
+
+    const remainingKeys = new Set(keys); // Local templates not on the remote anymore
+    const updatedKeys = [];
+
+    for (const remoteTemplate of remoteTemplates) {
+
+      const key = keys.find(key => this.templatesJSON.templates[key]?.remoteID == remoteTemplate.remoteID);
+
+      // Creates templates that are new on the remote
+      if (!key) {
+        const newKey = await this.#withoutHistory(() => this.createTemplate(remoteTemplate.blob, remoteTemplate.name, remoteTemplate.coords));
+        Object.assign(this.templatesJSON.templates[newKey], { URL: url, URLType: urlType, remoteID: remoteTemplate.remoteID });
+        const template = this.#findTemplate(newKey);
+        if (template) {template.url = url;}
+        updatedKeys.push(newKey);
+        continue;
+      }
+
+      remainingKeys.delete(key);
+      updatedKeys.push(key);
+
+      // Updates templates that changed on the remote
+      const templateJSON = this.templatesJSON.templates[key];
+      const template = this.#findTemplate(key);
+
+      templateJSON.name = remoteTemplate.name;
+      templateJSON.coords = remoteTemplate.coords.join(', ');
+
+      if (template) {
+        template.displayName = remoteTemplate.name;
+        template.coords = remoteTemplate.coords;
+        template.file = remoteTemplate.blob;
+        await this.#chunkTemplate(template, templateJSON);
+      }
+    }
+
+    // Deletes templates that were removed from the remote
+    for (const key of remainingKeys) {
+      await this.deleteTemplate(key, true);
+    }
+
+    return updatedKeys;
+  }
+
+  /** Gets all templates with their metadata
+   * @returns {Array} Array of template objects with metadata (including the progress of the template, if it has been loaded)
+   * @since 0.80.0
+   */
+  getAllTemplates() {
+    if (!this.templatesJSON || !this.templatesJSON.templates) {
+      return [];
+    }
+
+    return Object.entries(this.templatesJSON.templates).map(([key, template]) => ({
+      key: key,
+      name: template.name,
+      coords: template.coords,
+      enabled: template.enabled,
+      renderMode: template.renderMode || 'all',
+      sortID: template.sortID, // Draw order. Higher is drawn on top
+      group: template.group || '',
+      authorID: template.authorID || '',
+      createdAt: template.createdAt || null,
+      // Whether the template is on a tile the map loaded recently
+      isInView: Object.keys(template.tiles || {}).some(tileName => this.#isTileInView(tileName.split(',').slice(0, 2).join(','))),
+      style: { ...templateStyleDefault, ...template.style },
+  // Prefer runtime template instance pixelCount; fallback to persisted JSON pixelCount; else 0
+  pixelCount: this.#findTemplate(key)?.pixelCount || template.pixelCount || 0,
+      // Progress measured against the tiles that have been loaded so far
+      progress: this.#findTemplate(key)?.getProgress() || null,
+      // The remote source of the template, if any
+      url: template.URL || '',
+      urlType: template.URLType || '',
+      lastSync: template.lastSync || null
+    }));
+  }
+
+  /** Draws all templates on the specified tile.
+   * This method handles the rendering of template overlays on individual tiles.
+   * @param {File} tileBlob - The pixels that are placed on a tile
+   * @param {Array<number>} tileCoords - The tile coordinates [x, y]
+   * @since 0.65.77
+   */
+  async drawTemplateOnTile(tileBlob, tileCoords) {
+
+    // Returns early if no templates should be drawn
+    if (!this.templatesShouldBeDrawn) {return tileBlob;}
+
+    // Format tile coordinates with proper padding for consistent lookup
+    tileCoords = tileCoords[0].toString().padStart(4, '0') + ',' + tileCoords[1].toString().padStart(4, '0');
+
+    console.log(`Searching for templates in tile: "${tileCoords}"`);
+
+    // Remembers which tiles the map loaded recently, which are (about) the tiles in view
+    this.tilesViewed.delete(tileCoords); // Moves the tile to the end, so the oldest tiles are first
+    this.tilesViewed.set(tileCoords, Date.now());
+    for (const [tile, viewedAt] of this.tilesViewed) {
+      if (Date.now() - viewedAt <= this.tilesViewedTimeout) {break;}
+      this.tilesViewed.delete(tile);
+    }
+
+    // Keeps the pixels of the tile, so the pixel inspector can read the canvas (see getCanvasPixel())
+    this.tilesLoaded.delete(tileCoords);
+    this.tilesLoaded.set(tileCoords, tileBlob);
+    if (this.tilesLoaded.size > this.tilesLoadedLimit) {this.tilesLoaded.delete(this.tilesLoaded.keys().next().value);}
+
+    // Retrieves the relavent template tile blobs from the index. Already sorted by draw priority
+    const templatesToDraw = (this.templatesTileIndex.get(tileCoords) || []).map(({ template, tileName }) => {
+
+      const coords = tileName.split(','); // [x, y, x, y] Tile/pixel coordinates
+
+      return {
+        template: template,
+        tileName: tileName,
+        tileCoords: [coords[0], coords[1]],
+        pixelCoords: [coords[2], coords[3]]
+      }
+    });
+
+    console.log(templatesToDraw);
+
+    const templatesOnTile = new Set(templatesToDraw.map(template => template.template)); // Templates with at least one chunk on this tile
+    const templateCount = templatesOnTile.size; // Number of templates to draw on this tile
+    console.log(`templateCount = ${templateCount}`);
+
+    if (templateCount > 0) {
+      
+      // Calculate total pixel count for templates actively being displayed in this tile
+      const totalPixels = [...templatesOnTile].reduce((sum, template) => sum + (template.pixelCount || 0), 0);
+      
+      // Format pixel count with locale-appropriate thousands separators for better readability
+      // Examples: "1,234,567" (US), "1.234.567" (DE), "1 234 567" (FR)
+      const pixelCountFormatted = new Intl.NumberFormat().format(totalPixels);
+      
+      // Display status information about the templates being rendered
+      this.overlay.handleDisplayStatus(
+        `Displaying ${templateCount} template${templateCount == 1 ? '' : 's'}.\nTotal pixels: ${pixelCountFormatted}`
+      );
+    } else {
+      this.overlay.handleDisplayStatus(`Displaying ${templateCount} templates.`);
+    }
+
+    // Returns the tile drawn last time, if neither the tile nor the templates changed since then
+    let cacheKey = null;
+    try {
+      cacheKey = `${tileCoords}|${this.templatesRevision}|${await hashBlob(tileBlob)}`;
+      const cachedBlob = this.tileCache.get(cacheKey);
+      if (cachedBlob) {return cachedBlob;}
+    } catch (exception) {
+      console.warn('[BlueMarble] Failed to hash the tile. It will not be cached:', exception);
+    }
+    
+    // The unshredded pixels of each chunk. The worker draws and compares these with the tile
+    const chunks = [];
+    const transfer = []; // Copies of the pixels are transferred, so the templates keep theirs
+    for (const template of templatesToDraw) {
+
+      const chunkPixels = await template.template.getChunkPixels(template.tileName);
+      if (!chunkPixels) {continue;} // Skips chunks that no longer exist
+
+      const data = chunkPixels.data.slice();
+      transfer.push(data.buffer);
+
+      chunks.push({
+        template: template.template,
+        tileName: template.tileName,
+        task: {
+          pixelCoords: template.pixelCoords.map(Number),
+          renderMode: template.template.renderMode,
+          style: {
+            opacity: template.template.style.opacity,
+            shape: template.template.style.shape,
+            tint: template.template.style.tint?.match(/[0-9a-f]{2}/gi)?.map(hex => parseInt(hex, 16)) || null // "#ff0000" -> [255, 0, 0]
+          },
+          focus: this.focusColors.length > 0 ? { colors: this.focusColors.map(rgb => (rgb[0] << 16) | (rgb[1] << 8) | rgb[2]), opacity: this.focusOpacity } : null,
+          pixels: { width: chunkPixels.width, height: chunkPixels.height, data }
+        }
+      });
+    }
+
+    try {
+      const { blob, progress } = await this.workerPool.run('renderTile', {
+        tileBlob: tileBlob,
+        tileSize: this.tileSize,
+        drawMult: this.drawMult,
+        chunks: chunks.map(chunk => chunk.task)
+      }, transfer);
+
+      // Compares the template with the pixels currently on the tile, so the progress of the template is known
+      chunks.forEach((chunk, index) => chunk.template.chunkedProgress[chunk.tileName] = progress[index]);
+
+      if (cacheKey) {this.tileCache.set(cacheKey, blob);}
+
+      return blob;
+    } catch (exception) {
+      console.warn('[BlueMarble] Failed to draw the templates on the tile:', exception);
+      return tileBlob; // Shows the tile without templates instead of nothing
+    }
+  }
+
+  /** Adds the chunks of a template to the tile index.
+   * Any previous entries of the template are removed first, so this is also used to update the index.
+   * Disabled templates are only removed.
+   * @param {Template} template - The template to index
+   * @since 0.84.0
+   */
+  #indexTemplate(template) {
+
+    this.#unindexTemplate(template);
+
+    if (!template.enabled || !template.chunked) {return;} // Disabled templates are never drawn
+
+    const tiles = new Set(); // The tiles the template is on
+
+    for (const tileName of Object.keys(template.chunked)) {
+      const tile = tileName.split(',').slice(0, 2).join(','); // "0000,0000,000,000" -> "0000,0000"
+      const entries = this.templatesTileIndex.get(tile) || [];
+
+      entries.push({ template, tileName });
+      entries.sort((a, b) => a.template.sortID - b.template.sortID); // 0 = first = lowest draw priority
+
+      this.templatesTileIndex.set(tile, entries);
+      tiles.add(tile);
+    }
+
+    this.templatesIndexedTiles.set(template, tiles);
+  }
+
+  /** Removes all chunks of a template from the tile index.
+   * Since every change to the index goes through here, this also invalidates the tile cache.
+   * @param {Template} template - The template to remove
+   * @since 0.84.0
+   */
+  #unindexTemplate(template) {
+
+    this.templatesRevision++; // The tiles of this template have to be drawn again
+
+    for (const tile of this.templatesIndexedTiles.get(template) || []) {
+      const entries = (this.templatesTileIndex.get(tile) || []).filter(entry => entry.template !== template);
+
+      if (entries.length > 0) {
+        this.templatesTileIndex.set(tile, entries);
+      } else {
+        this.templatesTileIndex.delete(tile); // Nothing is on this tile anymore
+      }
+    }
+
+    this.templatesIndexedTiles.delete(template);
+  }
+
+  /** Shows the progress of the worker pool in the overlay status.
+   * @param {{type: string, running: number, queued: number, progress?: number}} status - The state of the worker pool
+   * @since 0.84.0
+   */
+  #handleWorkerStatus({ type, running, queued, progress }) {
+
+    if (type == 'chunkTemplate' && progress !== undefined) {
+      this.overlay.handleDisplayStatus(`Chunking template... ${Math.round(progress * 100)}%`);
+    } else if (queued > 0) {
+      this.overlay.handleDisplayStatus(`Rendering tiles... ${running} in progress, ${queued} queued`);
+    }
+  }
+
+  /** Imports the JSON object, and appends it to any JSON object already loaded.
+   * Both Blue Marble JSON objects, and osu!place JSON objects, are accepted.
+   * The format is detected from the shape of the object.
+   * @param {string} json - The JSON string to parse
+   * @param {function(string, Object, Object):(string|Promise<string>)} [onConflict] - (Optional) Called with the key, the loaded template, and the imported template, when a Blue Marble template key is already loaded. Returns 'skip', 'overwrite', or 'keep' (keeps both). Defaults to 'skip'
+   * @param {boolean} [isStored=false] - Whether the JSON object was loaded from storage. Any other JSON object is stored once it is imported
+   * @returns {Promise<number>} The number of templates that were imported
+   */
+  async importJSON(json, onConflict = () => 'skip', isStored = false) {
+
+    console.log(`Importing JSON...`);
+    console.log(json);
+
+    // osu!place templates are a list, instead of an object of Blue Marble templates
+    if (Array.isArray(json?.templates)) {
+      return await this.#parseOSU(json).catch(e => {console.error('[BlueMarble] Failed to parse osu!place templates:', e); return 0;});
+    }
+
+    // Determine acceptable identifiers (legacy + current script name sans spaces)
+    const currentName = (this.name || '').replace(/\s+/g, '');
+    // Accept legacy and common typo variants so user renames don't drop data
+    const acceptedWhoami = ['BlueMarble', 'BluePeanits', 'BluePeanuts', currentName];
+
+    // If object lacks whoami but has a templates map, assume it's ours and inject an identifier
+    if (!json?.whoami && json?.templates && typeof json.templates === 'object') {
+      json.whoami = currentName;
+    }
+
+    if (json && acceptedWhoami.includes(json?.whoami)) {
+
+      // Upgrades older JSON objects, and quarantines broken templates, before anything is loaded
+      const { fromVersion, migrated, isNewer } = migrateTemplatesJSON(json);
+      if (isNewer) {
+        console.warn(`[BlueMarble] The templates are from a newer schema (${fromVersion}) than this userscript supports (${this.templatesVersion})`);
+        this.overlay.handleDisplayStatus(`The templates are from a newer version of ${this.name}. Some settings might be ignored!`);
+      }
+
+      const quarantinedKeys = quarantineInvalidTemplates(json, this.tileSize);
+      if (quarantinedKeys.length > 0) {
+        this.overlay.handleDisplayError(`${quarantinedKeys.length} broken template${quarantinedKeys.length == 1 ? ' was' : 's were'} quarantined!`);
+      }
+
+      // Initialize or merge templatesJSON so later saves don't overwrite imported data
+      if (!this.templatesJSON) {
+        // Store original object so subsequent createTemplate() appends instead of recreating
+        this.templatesJSON = json;
+        // Parse templates into runtime array (legacy parser builds template instances)
+        await this.#parseBlueMarble(json).catch(e => console.error('[BlueMarble] Failed to parse templates:', e));
+        const purgedCount = this.#purgeRecycleBin(); // Deleted templates that expired while the userscript was not running
+        if (!isStored || migrated || quarantinedKeys.length > 0 || purgedCount > 0) {await this.#storeTemplates();}
+        return Object.keys(json.templates || {}).length;
+      }
+
+      // Keeps the quarantined templates of the imported JSON object, so they can be recovered
+      if (json.quarantine) {
+        this.templatesJSON.quarantine = { ...this.templatesJSON.quarantine, ...json.quarantine };
+      }
+
+      const templatesToParse = {}; // Only the templates that were merged are parsed, so loaded templates are not loaded twice
+      const replacedTemplates = new Map(); // Key -> the loaded template that an imported template overwrites. It is only replaced once the imported template has loaded
+
+      // Imported templates keep the order they were exported in, so they are merged from the lowest sort ID up
+      const importedTemplates = Object.entries(json.templates || {}).sort(([, a], [, b]) => (Number(a?.sortID) || 0) - (Number(b?.sortID) || 0));
+
+      for (const [key, templateValue] of importedTemplates) {
+
+        let templateKey = key;
+        let sortID = this.#getNextSortID(); // Imported templates are drawn above the loaded templates, so no two templates share a sort ID
+
+        // Asks what to do when the key is already loaded
+        if (this.templatesJSON.templates[key]) {
+          const resolution = await onConflict(key, this.templatesJSON.templates[key], templateValue);
+
+          if (resolution == 'overwrite') {
+            sortID = this.templatesJSON.templates[key].sortID; // The imported template takes the place of the loaded template, and its key
+
+            // Unloads the loaded template, but keeps it until the imported template has loaded
+            const template = this.#findTemplate(key);
+            replacedTemplates.set(key, { templateJSON: this.templatesJSON.templates[key], template });
+            if (template) {
+              this.#unindexTemplate(template);
+              this.templatesArray = this.templatesArray.filter(other => other !== template);
+            }
+          } else if (resolution == 'keep') {
+            templateKey = this.#createTemplateID(); // Keeps both, so the imported template needs a new ID
+          } else {
+            continue; // Skips the imported template
+          }
+        }
+
+        templateValue.sortID = sortID;
+        this.templatesJSON.templates[templateKey] = templateValue;
+        templatesToParse[templateKey] = templateValue;
+      }
+
+      await this.#parseBlueMarble({ ...json, templates: templatesToParse }).catch(e => console.error('[BlueMarble] Failed to parse templates:', e));
+
+      // Puts back the loaded templates that were overwritten by an imported template that failed to load
+      for (const [key, { templateJSON, template }] of replacedTemplates) {
+        if (this.#findTemplate(key)) {continue;} // The imported template loaded, so it replaces the loaded template
+
+        console.warn(`[BlueMarble] Kept the loaded template "${key}", since the imported template failed to load`);
+        this.templatesJSON.templates[key] = templateJSON;
+        if (template) {
+          this.templatesArray.push(template);
+          this.#indexTemplate(template);
+        }
+        delete templatesToParse[key];
+      }
+
+      await this.#storeTemplates();
+      return Object.keys(templatesToParse).length;
+    } else {
+      console.warn(`Template JSON 'whoami' ("${json?.whoami}") did not match any accepted identifiers: ${acceptedWhoami.join(', ')}`);
+      return 0;
+    }
+  }
+
+  /** Exports templates as a JSON object, in the same schema as the stored templates.
+   * @param {Array<string>} [templateKeys] - (Optional) The keys of the templates to export. Exports every template when omitted
+   * @returns {Promise<Object>} The JSON object
+   * @since 0.84.0
+   */
+  async exportTemplates(templateKeys) {
+
+    const json = await this.createJSON();
+    const templates = this.templatesJSON?.templates || {};
+
+    for (const key of templateKeys || Object.keys(templates)) {
+      if (templates[key]) {
+        json.templates[key] = structuredClone(templates[key]); // Copies, so changes to the export do not change the loaded templates
+      }
+    }
+
+    return json;
+  }
+
+  /** Retrieves the templates that were quarantined because they are broken.
+   * @returns {Array<{key: string, name: string, errors: Array<string>, quarantinedAt: number}>} The quarantined templates
+   * @since 0.84.0
+   */
+  getQuarantinedTemplates() {
+    return Object.entries(this.templatesJSON?.quarantine || {}).map(([key, quarantined]) => ({
+      key: key,
+      name: quarantined?.template?.name || key,
+      errors: quarantined?.errors || [],
+      quarantinedAt: quarantined?.quarantinedAt || null
+    }));
+  }
+
+  /** Deletes every quarantined template.
+   * @since 0.84.0
+   */
+  async discardQuarantinedTemplates() {
+    if (!this.templatesJSON?.quarantine) {return;}
+    delete this.templatesJSON.quarantine;
+    await this.#storeTemplates();
+  }
+
+  /** Retrieves a sort ID that no loaded template uses.
+   * @returns {number} One more than the highest sort ID
+   * @since 0.84.0
+   */
+  #getNextSortID() {
+    const sortIDs = Object.values(this.templatesJSON?.templates || {}).map(templateJSON => Number(templateJSON?.sortID)).filter(sortID => !isNaN(sortID));
+    return sortIDs.length > 0 ? Math.max(...sortIDs) + 1 : 0;
+  }
+
+  /** Creates a template ID that no loaded, quarantined, or deleted template uses.
+   * IDs never change, so they stay the same when templates are deleted or drawn in a different order.
+   * @returns {string} The template ID (e.g. "6f1c2a9e-3b7d-4c55-9a0e-2d8b1f4c7e31")
+   * @since 0.84.0
+   */
+  #createTemplateID() {
+
+    let templateID;
+
+    do {
+      templateID = crypto.randomUUID();
+    } while (this.templatesJSON?.templates?.[templateID] || this.templatesJSON?.quarantine?.[templateID] || this.templatesJSON?.recycleBin?.[templateID]);
+
+    return templateID;
+  }
+
+  /** Is the tile (about) in view? Tiles count as in view for a while after the map loaded them.
+   * @param {string} tile - The tile (e.g. "0000,0000")
+   * @returns {boolean} Whether the map loaded the tile recently
+   * @since 0.84.0
+   */
+  #isTileInView(tile) {
+    const viewedAt = this.tilesViewed.get(tile);
+    return !!viewedAt && Date.now() - viewedAt <= this.tilesViewedTimeout;
+  }
+
+  /** Retrieves the loaded {@link Template} instance of a template.
+   * @param {string} templateKey - The key of the template (e.g. "6f1c2a9e-3b7d-4c55-9a0e-2d8b1f4c7e31")
+   * @returns {Template|undefined} The template instance, or undefined if the template is not loaded
+   * @since 0.84.0
+   */
+  #findTemplate(templateKey) {
+    return this.templatesArray.find(template => template.id === templateKey);
+  }
+
+  /** Parses the Blue Peanits JSON object
+   * @param {string} json - The JSON string to parse
+   * @since 0.72.13
+   */
+  async #parseBlueMarble(json) {
+
+    console.log(`Parsing BlueMarble...`);
+
+    const templates = json.templates;
+
+    console.log(`BlueMarble length: ${Object.keys(templates).length}`);
+
+    let shouldStore = false; // Should the templates be stored after parsing (e.g. because they were migrated)?
+
+    if (Object.keys(templates).length > 0) {
+
+      for (const template in templates) {
+
+        const templateKey = template;
+        const templateValue = templates[template];
+        console.log(templateKey);
+
+        if (templates.hasOwnProperty(template)) {
+          try {
+            if (await this.#parseBlueMarbleTemplate(templateKey, templateValue)) {shouldStore = true;}
+          } catch (exception) {
+
+            // Broken templates are quarantined, so the other templates still load
+            console.error(`[BlueMarble] Failed to load template "${templateKey}":`, exception);
+            if (this.templatesJSON?.templates?.[templateKey] === templateValue) {
+              quarantineTemplate(this.templatesJSON, templateKey, [exception?.message || String(exception)]);
+              shouldStore = true;
+            }
+          }
+        }
+      }
+    }
+
+    if (shouldStore) {await this.#storeTemplates();}
+  }
+
+  /** Parses one template of the Blue Peanits JSON object, and loads it.
+   * @param {string} templateKey - The key of the template (e.g. "6f1c2a9e-3b7d-4c55-9a0e-2d8b1f4c7e31")
+   * @param {Object} templateValue - The template in the JSON object. Migrated values are written back into it
+   * @returns {Promise<boolean>} Whether the template was migrated, so the templates should be stored again
+   * @since 0.84.0
+   */
+  async #parseBlueMarbleTemplate(templateKey, templateValue) {
+
+    let isMigrated = false; // Was the template migrated while it was parsed?
+
+    const sortID = Number(templateValue.sortID); // Sort ID of the template
+    const authorID = templateValue.authorID || '0'; // User ID of the person who exported the template
+    const displayName = templateValue.name || `Template ${sortID || ''}`; // Display name of the template
+    const enabled = templateValue.enabled !== undefined ? templateValue.enabled : true; // Whether template is enabled
+    const coords = templateValue?.coords?.split(',').map(Number); // "1, 2, 3, 4" -> [1, 2, 3, 4]
+    const tilesbase64 = templateValue.tiles;
+    const templateTiles = {}; // Stores the template bitmap tiles for each tile.
+
+    for (const tile in tilesbase64) {
+      console.log(tile);
+      if (tilesbase64.hasOwnProperty(tile)) {
+        const encodedTemplateBase64 = tilesbase64[tile];
+        const templateUint8Array = base64ToUint8(encodedTemplateBase64); // Base 64 -> Uint8Array
+
+        const templateBlob = new Blob([templateUint8Array], { type: "image/png" }); // Uint8Array -> Blob
+        const templateBitmap = await createImageBitmap(templateBlob) // Blob -> Bitmap
+        templateTiles[tile] = templateBitmap;
+      }
+    }
+
+    // The unshredded source image, if it was stored
+    const sourceBlob = templateValue.source ? new Blob([base64ToUint8(templateValue.source)], { type: 'image/png' }) : null;
+
+    // Creates a new Template class instance
+    const template = new Template({
+      id: templateKey,
+      displayName: displayName,
+      sortID: !isNaN(sortID) ? sortID : this.templatesArray?.length || 0,
+      authorID: authorID || '',
+      enabled: enabled,
+      renderMode: templateValue.renderMode || 'all',
+      style: templateValue.style || {},
+      url: templateValue.URL || '',
+      file: sourceBlob,
+      coords: coords?.length === 4 && coords.every(coord => !isNaN(coord)) ? coords : null
+    });
+    template.chunked = templateTiles;
+
+    // Templates stored before the source image was kept have it rebuilt from their chunks (one time migration)
+    if (!sourceBlob) {
+      try {
+        template.file = await template.createFileFromChunks();
+        templateValue.source = await template.createSourceBase64();
+        if (templateValue.source) {isMigrated = true;}
+      } catch (exception) {
+        console.warn(`[BlueMarble] Failed to rebuild the source image of "${displayName}":`, exception);
+      }
+    }
+
+    // Accurate pixel count resolution:
+    // If the JSON already persisted an exact pixelCount, trust it.
+    // Otherwise, reconstruct the count from the shredded 3× scaled tile bitmaps.
+    if (typeof templateValue.pixelCount === 'number' && templateValue.pixelCount >= 0) {
+      template.pixelCount = templateValue.pixelCount;
+    } else {
+      try {
+        template.pixelCount = await this.#computePixelCountFromTiles(templateTiles);
+        // Persist back so subsequent saves keep the improved value
+        templateValue.pixelCount = template.pixelCount;
+      } catch (e) {
+        console.warn('[BlueMarble] Failed to compute precise pixel count; falling back to heuristic:', e);
+        const tileCount = Object.keys(templateTiles).length || 1;
+        template.pixelCount = tileCount * 500; // fallback heuristic
+        templateValue.pixelCount = template.pixelCount;
+      }
+    }
+
+    this.templatesArray.push(template);
+    this.#indexTemplate(template);
+    console.log(this.templatesArray);
+    console.log(`^^^ This ^^^`);
+
+    return isMigrated;
+  }
+
+  /** Parses the osu!place JSON object.
+   * Each osu!place template is downloaded, and created as a regular template.
+   * @param {{faction?: string, templates: Array<Object>}} json - The osu!place JSON object
+   * @returns {Promise<number>} The number of templates that were imported
+   * @since 0.84.0
+   */
+  async #parseOSU(json) {
+
+    console.log(`Parsing osu!place...`);
+    console.log(`osu!place length: ${json.templates.length}`);
+
+    let importedCount = 0; // The number of templates that were imported
+
+    for (const osuTemplate of await this.#downloadOSUTemplates(json)) {
+
+      // Skips templates that were already imported
+      if (this.templatesArray.some(template => template.displayName == osuTemplate.name && template.coords?.join(',') == osuTemplate.coords.join(','))) {
+        console.log(`Skipping osu!place template "${osuTemplate.name}" because it already exists`);
+        continue;
+      }
+
+      await this.#withoutHistory(() => this.createTemplate(osuTemplate.blob, osuTemplate.name, osuTemplate.coords));
+      importedCount++;
+    }
+
+    this.overlay.handleDisplayStatus(`Imported ${importedCount} of ${json.templates.length} osu!place template${json.templates.length == 1 ? '' : 's'}!`);
+    return importedCount;
+  }
+
+  /** Downloads the images of the osu!place JSON object.
+   * Each osu!place template is an image, with the global pixel coordinates of the top left corner.
+   * Each image is downloaded from the first source that works.
+   * Animated templates only use the first frame.
+   * Templates that are invalid, or can not be downloaded, are skipped.
+   * @param {{faction?: string, templates: Array<{name?: string, sources: Array<string>, x: number, y: number, frameWidth?: number, frameHeight?: number}>}} json - The osu!place JSON object
+   * @returns {Promise<Array<{remoteID: string, name: string, coords: Array<number>, blob: Blob}>>} The templates
+   * @since 0.84.0
+   */
+  async #downloadOSUTemplates(json) {
+
+    const osuTemplates = [];
+
+    for (const [index, templateValue] of json.templates.entries()) {
+
+      const displayName = templateValue?.name || `${json.faction || 'osu!place'} ${index + 1}`; // Display name of the template
+      const sources = [].concat(templateValue?.sources || []).filter(source => typeof source == 'string');
+      const globalX = Number(templateValue?.x); // Global pixel coordinate of the left side
+      const globalY = Number(templateValue?.y); // Global pixel coordinate of the top side
+
+      if (!Number.isInteger(globalX) || !Number.isInteger(globalY) || globalX < 0 || globalY < 0) {
+        console.warn(`[BlueMarble] Skipping osu!place template "${displayName}" because it has invalid coordinates (${templateValue?.x}, ${templateValue?.y})`);
+        continue;
+      }
+
+      if (sources.length == 0) {
+        console.warn(`[BlueMarble] Skipping osu!place template "${displayName}" because it has no sources`);
+        continue;
+      }
+
+      // Downloads the image from the first source that works
+      let blob = null;
+      for (const source of sources) {
+        try {
+          const { status, response } = await requestRemote(source);
+          if (status >= 200 && status < 300) {blob = response; break;}
+          console.warn(`[BlueMarble] osu!place source "${source}" responded with ${status}`);
+        } catch (exception) {
+          console.warn(`[BlueMarble] Failed to download osu!place source "${source}":`, exception);
+        }
+      }
+
+      if (!blob) {
+        console.warn(`[BlueMarble] Skipping osu!place template "${displayName}" because none of its sources could be downloaded`);
+        continue;
+      }
+
+      // Animated templates are sprite sheets. Only the first frame is used
+      const frameWidth = Number(templateValue.frameWidth);
+      const frameHeight = Number(templateValue.frameHeight);
+      if (frameWidth > 0 && frameHeight > 0) {
+        const bitmap = await createImageBitmap(blob);
+        if (bitmap.width > frameWidth || bitmap.height > frameHeight) {
+          const canvas = new OffscreenCanvas(frameWidth, frameHeight);
+          canvas.getContext('2d').drawImage(bitmap, 0, 0);
+          blob = await canvas.convertToBlob({ type: 'image/png' });
+        }
+      }
+
+      osuTemplates.push({
+        remoteID: templateValue?.name || `${index}`,
+        name: displayName,
+        // Global pixel coordinates -> [tileX, tileY, pixelX, pixelY]
+        coords: [
+          Math.floor(globalX / this.tileSize),
+          Math.floor(globalY / this.tileSize),
+          globalX % this.tileSize,
+          globalY % this.tileSize
+        ],
+        blob: blob
+      });
+    }
+
+    return osuTemplates;
+  }
+
+  /** Updates the display name of a specific template
+   * @param {string} templateKey - The key of the template to update (e.g. "6f1c2a9e-3b7d-4c55-9a0e-2d8b1f4c7e31")
+   * @param {string} newName - The new display name for the template
+   * @since 0.81.1
+   */
+  async updateTemplateName(templateKey, newName) {
+    // Creates the JSON object if it does not already exist
+    if (!this.templatesJSON) {this.templatesJSON = await this.createJSON();}
+
+    const templateJSON = this.templatesJSON.templates[templateKey];
+
+    // Update the name in JSON
+    if (templateJSON) {
+      const oldName = templateJSON.name;
+      if (oldName !== newName) {
+        this.#recordHistory(`Rename "${oldName}" to "${newName}"`, () => this.updateTemplateName(templateKey, oldName), () => this.updateTemplateName(templateKey, newName));
+      }
+      templateJSON.name = newName;
+    }
+
+    // Update the name in the template array
+    const template = this.#findTemplate(templateKey);
+    if (template) {
+      template.displayName = newName;
+    }
+
+    await this.#storeTemplates();
+  }
+
+  /** Sets how a specific template is rendered
+   * @param {string} templateKey - The key of the template to update (e.g. "6f1c2a9e-3b7d-4c55-9a0e-2d8b1f4c7e31")
+   * @param {string} renderMode - Either 'all' (every pixel) or 'errors' (only wrong and missing pixels)
+   * @since 0.84.0
+   */
+  async setTemplateRenderMode(templateKey, renderMode) {
+    // Creates the JSON object if it does not already exist
+    if (!this.templatesJSON) {this.templatesJSON = await this.createJSON();}
+
+    if (!['all', 'errors'].includes(renderMode)) {
+      throw new Error(`Unknown render mode "${renderMode}"`);
+    }
+
+    // Update the render mode in JSON
+    if (this.templatesJSON.templates[templateKey]) {
+      this.templatesJSON.templates[templateKey].renderMode = renderMode;
+    }
+
+    // Update the render mode in the template array
+    const template = this.#findTemplate(templateKey);
+    if (template) {
+      template.renderMode = renderMode;
+      this.templatesRevision++; // The tiles of this template have to be drawn again
+    }
+
+    await this.#storeTemplates();
+  }
+
+  /** Changes how a specific template is drawn.
+   * Only the settings in the style are changed. The other settings are kept.
+   * @param {string} templateKey - The key of the template to update (e.g. "6f1c2a9e-3b7d-4c55-9a0e-2d8b1f4c7e31")
+   * @param {{opacity?: number, shape?: string, tint?: string|null}} style - The settings to change (see {@link templateStyleDefault})
+   * @since 0.84.0
+   */
+  async setTemplateStyle(templateKey, style) {
+    // Creates the JSON object if it does not already exist
+    if (!this.templatesJSON) {this.templatesJSON = await this.createJSON();}
+
+    const templateJSON = this.templatesJSON.templates[templateKey];
+    const styleNew = { ...templateStyleDefault, ...templateJSON?.style, ...style };
+
+    const errors = validateTemplateStyle(styleNew);
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+
+    // Update the style in JSON
+    if (templateJSON) {
+      templateJSON.style = styleNew;
+    }
+
+    // Update the style in the template array
+    const template = this.#findTemplate(templateKey);
+    if (template) {
+      template.style = styleNew;
+      this.templatesRevision++; // The tiles of this template have to be drawn again
+    }
+
+    await this.#storeTemplates();
+  }
+
+  /** Changes the draw order of the templates.
+   * Every template gets a new sort ID, so templates later in the list are drawn on top of templates earlier in the list.
+   * @param {Array<string>} templateKeys - The keys of the templates, from the bottom layer to the top layer. Templates not in the list are kept below them
+   * @since 0.84.0
+   */
+  async reorderTemplates(templateKeys) {
+    // Creates the JSON object if it does not already exist
+    if (!this.templatesJSON) {this.templatesJSON = await this.createJSON();}
+
+    const templates = this.templatesJSON.templates;
+
+    // Templates missing from the list keep their current order, below the listed templates
+    const keysUnlisted = Object.keys(templates)
+      .filter(key => !templateKeys.includes(key))
+      .sort((a, b) => templates[a].sortID - templates[b].sortID);
+
+    [...keysUnlisted, ...templateKeys.filter(key => templates[key])].forEach((key, sortID) => {
+
+      if (templates[key].sortID === sortID) {return;} // Already in place
+
+      templates[key].sortID = sortID;
+
+      const template = this.#findTemplate(key);
+      if (template) {
+        template.sortID = sortID;
+        this.#indexTemplate(template); // Sorts the tile index again, and invalidates the tile cache
+      }
+    });
+
+    await this.#storeTemplates();
+  }
+
+  /** Moves a template one layer up, or down, in the draw order.
+   * @param {string} templateKey - The key of the template to move (e.g. "6f1c2a9e-3b7d-4c55-9a0e-2d8b1f4c7e31")
+   * @param {number} direction - 1 brings the template forward (drawn above the next template), -1 sends it back
+   * @returns {Promise<boolean>} Whether the template moved. False if it is already the top, or bottom, layer
+   * @since 0.84.0
+   */
+  async moveTemplateLayer(templateKey, direction) {
+
+    const templates = this.templatesJSON?.templates || {};
+    const keys = Object.keys(templates).sort((a, b) => templates[a].sortID - templates[b].sortID); // Bottom layer first
+
+    const index = keys.indexOf(templateKey);
+    const indexNew = index + Math.sign(direction);
+    if (index < 0 || indexNew < 0 || indexNew >= keys.length) {return false;}
+
+    [keys[index], keys[indexNew]] = [keys[indexNew], keys[index]]; // Swaps the template with its neighbour
+    await this.reorderTemplates(keys);
+
+    return true;
+  }
+
+  /** Finds the colors the enabled templates expect at a pixel of the canvas.
+   * @param {Array<number|string>} tileCoords - The tile coordinates [x, y]
+   * @param {Array<number|string>} pixelCoords - The pixel coordinates in the tile [x, y]
+   * @returns {Promise<Array<{template: Template, rgb: Array<number>, isDeface: boolean}>>} The color each template expects, the template drawn on top first. Templates that are transparent at the pixel are skipped
+   * @since 0.84.0
+   */
+  async getTemplatePixels(tileCoords, pixelCoords) {
+
+    const tile = tileCoords.map(coord => String(coord).padStart(4, '0')).join(','); // [1, 2] -> "0001,0002"
+    const [pixelX, pixelY] = pixelCoords.map(Number);
+    const pixels = [];
+
+    // The index is sorted by draw priority, so it is reversed to check the top template first
+    for (const { template, tileName } of [...(this.templatesTileIndex.get(tile) || [])].reverse()) {
+
+      const [, , chunkX, chunkY] = tileName.split(',').map(Number);
+      const chunkPixels = await template.getChunkPixels(tileName);
+      if (!chunkPixels) {continue;} // Skips chunks that no longer exist
+
+      // The position of the pixel in the chunk
+      const x = pixelX - chunkX;
+      const y = pixelY - chunkY;
+      if (x < 0 || y < 0 || x >= chunkPixels.width || y >= chunkPixels.height) {continue;} // The chunk does not cover the pixel
+
+      const pixelIndex = (y * chunkPixels.width + x) * 4;
+      if (chunkPixels.data[pixelIndex + 3] === 0) {continue;} // The template is transparent here
+
+      const rgb = [...chunkPixels.data.subarray(pixelIndex, pixelIndex + 3)];
+      pixels.push({ template, rgb, isDeface: rgb.join(',') == '222,250,206' });
+    }
+
+    return pixels;
+  }
+
+  /** Reads a pixel of the canvas, from the last time the map loaded its tile.
+   * @param {Array<number|string>} tileCoords - The tile coordinates [x, y]
+   * @param {Array<number|string>} pixelCoords - The pixel coordinates in the tile [x, y]
+   * @returns {Promise<{rgb: Array<number>, isTransparent: boolean}|null>} The color of the pixel, or null if the tile was not loaded recently
+   * @since 0.84.0
+   */
+  async getCanvasPixel(tileCoords, pixelCoords) {
+
+    const tileBlob = this.tilesLoaded.get(tileCoords.map(coord => String(coord).padStart(4, '0')).join(','));
+    if (!tileBlob) {return null;}
+
+    const [pixelX, pixelY] = pixelCoords.map(Number);
+
+    // Only the one pixel is drawn, so the whole tile does not have to be read
+    const bitmap = await createImageBitmap(tileBlob);
+    const canvas = new OffscreenCanvas(1, 1);
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(bitmap, pixelX, pixelY, 1, 1, 0, 0, 1, 1);
+    const data = context.getImageData(0, 0, 1, 1).data;
+
+    return { rgb: [data[0], data[1], data[2]], isTransparent: data[3] === 0 };
+  }
+
+  /** Sets the colors of focus mode.
+   * In focus mode, only template pixels of the focused colors are drawn normally, and every other template pixel is dimmed.
+   * @param {Array<Array<number>>} colors - The colors to focus on as [red, green, blue]. Empty turns focus mode off
+   * @since 0.84.0
+   * @example
+   * templateManager.setFocusColors([[237, 28, 36]]); // Only red pixels are drawn normally
+   * templateManager.setFocusColors([]); // Every pixel is drawn normally again
+   */
+  setFocusColors(colors) {
+
+    if (!Array.isArray(colors) || !colors.every(rgb => Array.isArray(rgb) && rgb.length == 3 && rgb.every(channel => Number.isInteger(channel) && channel >= 0 && channel <= 255))) {
+      throw new Error('Focus colors must be an array of [red, green, blue] colors');
+    }
+
+    // Removes duplicate colors
+    const colorsUnique = new Map(colors.map(rgb => [rgb.join(','), [...rgb]]));
+    this.focusColors = [...colorsUnique.values()];
+
+    this.templatesRevision++; // Every tile has to be drawn again
+  }
+
+  /** Adds a color to focus mode, or removes it if it is already focused.
+   * @param {Array<number>} rgb - The color as [red, green, blue]
+   * @returns {boolean} Whether the color is focused now
+   * @since 0.84.0
+   */
+  toggleFocusColor(rgb) {
+
+    const isFocused = this.focusColors.some(color => color.join(',') == rgb.join(','));
+
+    this.setFocusColors(isFocused
+      ? this.focusColors.filter(color => color.join(',') != rgb.join(','))
+      : [...this.focusColors, rgb]
+    );
+
+    return !isFocused;
+  }
+
+  /** Sets whether focus mode follows the color selected in the color picker of the website.
+   * The color picker itself is watched by the overlay, which calls {@link setFocusColors} when the color changes.
+   * @param {boolean} value - Whether focus mode follows the color picker
+   * @since 0.84.0
+   */
+  setFocusFollowsPicker(value) {
+    this.focusFollowsPicker = value;
+  }
+
+  /** Sets the `templatesShouldBeDrawn` boolean to a value.
+   * @param {boolean} value - The value to set the boolean to
+   * @since 0.73.7
+   */
+  setTemplatesShouldBeDrawn(value) {
+    this.templatesShouldBeDrawn = value;
+  }
+
+  /** Sets all templates to enabled or disabled
+   * @param {boolean} enabled - Whether all templates should be enabled
+   * @since 0.80.0
+   */
+  async setAllTemplatesEnabled(enabled) {
+    await this.#setTemplatesEnabled(this.getAllTemplates(), enabled, `${enabled ? 'Enable' : 'Disable'} all templates`);
+  }
+
+  /** Sets templates to enabled or disabled, as one change that can be undone.
+   * @param {Array<{key: string, enabled: boolean}>} templates - The templates, from {@link getAllTemplates}
+   * @param {boolean} enabled - Whether the templates should be enabled
+   * @param {string} label - What changed, for the undo history
+   * @since 0.84.0
+   */
+  async #setTemplatesEnabled(templates, enabled, label) {
+
+    const templatesChanged = templates.filter(template => template.enabled !== enabled);
+
+    await this.#withoutHistory(async () => {
+      for (const template of templatesChanged) {
+        await this.toggleTemplate(template.key, enabled);
+      }
+    });
+
+    if (templatesChanged.length > 0) {
+      this.#recordHistory(label, () => this.#setTemplatesEnabled(templatesChanged.map(template => ({ ...template, enabled })), !enabled, label), () => this.#setTemplatesEnabled(templatesChanged, enabled, label));
+    }
+  }
+
+  /** Moves a template into a group.
+   * Groups only exist while they contain at least one template.
+   * @param {string} templateKey - The key of the template to move (e.g. "6f1c2a9e-3b7d-4c55-9a0e-2d8b1f4c7e31")
+   * @param {string} group - The name of the group. An empty name removes the template from its group
+   * @since 0.84.0
+   */
+  async setTemplateGroup(templateKey, group) {
+    // Creates the JSON object if it does not already exist
+    if (!this.templatesJSON) {this.templatesJSON = await this.createJSON();}
+
+    const templateJSON = this.templatesJSON.templates[templateKey];
+    if (!templateJSON) {
+      throw new Error(`Template "${templateKey}" does not exist`);
+    }
+
+    group = String(group || '').trim();
+    if (group) {
+      templateJSON.group = group;
+    } else {
+      delete templateJSON.group;
+    }
+
+    await this.#storeTemplates();
+  }
+
+  /** Gets all groups, and how many templates are in each.
+   * @returns {Array<{name: string, count: number, enabledCount: number}>} The groups, sorted by name
+   * @since 0.84.0
+   */
+  getTemplateGroups() {
+
+    const groups = new Map(); // Name -> group
+
+    for (const templateJSON of Object.values(this.templatesJSON?.templates || {})) {
+      if (!templateJSON.group) {continue;} // Not in a group
+
+      const group = groups.get(templateJSON.group) || { name: templateJSON.group, count: 0, enabledCount: 0 };
+      group.count++;
+      if (templateJSON.enabled) {group.enabledCount++;}
+      groups.set(group.name, group);
+    }
+
+    return [...groups.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /** Sets every template in a group to enabled or disabled
+   * @param {string} group - The name of the group
+   * @param {boolean} enabled - Whether the templates should be enabled
+   * @since 0.84.0
+   */
+  async setGroupEnabled(group, enabled) {
+    const templates = this.getAllTemplates().filter(template => template.group == group);
+    await this.#setTemplatesEnabled(templates, enabled, `${enabled ? 'Enable' : 'Disable'} group "${group}"`);
+  }
+
+  /** Deletes a group, and every template in it.
+   * @param {string} group - The name of the group
+   * @returns {Promise<number>} The number of templates deleted
+   * @since 0.84.0
+   */
+  async deleteGroup(group) {
+    const templates = this.getAllTemplates().filter(template => template.group == group);
+
+    await this.#withoutHistory(async () => {
+      for (const template of templates) {
+        await this.deleteTemplate(template.key);
+      }
+    });
+
+    if (templates.length > 0) {
+      this.#recordHistory(`Delete group "${group}"`,
+        () => this.#withoutHistory(async () => {for (const template of templates) {await this.restoreTemplate(template.key);}}),
+        () => this.deleteGroup(group)
+      );
+    }
+
+    return templates.length;
+  }
+
+  /** Saves which templates are enabled, and their opacity, as a preset.
+   * A preset with the same name is replaced, but keeps its keyboard shortcut.
+   * @param {string} name - The name of the preset (e.g. "Defense")
+   * @returns {Promise<{name: string, shortcut: number|null}>} The preset, and the number of its keyboard shortcut (Ctrl+Shift+1 to 9), if any are left
+   * @since 0.84.0
+   */
+  async savePreset(name) {
+    // Creates the JSON object if it does not already exist
+    if (!this.templatesJSON) {this.templatesJSON = await this.createJSON();}
+
+    name = String(name || '').trim();
+    if (!name) {
+      throw new Error('The preset needs a name');
+    }
+
+    const presets = this.templatesJSON.presets = this.templatesJSON.presets || {};
+
+    // Reuses the shortcut of the preset being replaced, or takes the lowest unused one
+    const shortcutsUsed = Object.values(presets).map(preset => preset.shortcut);
+    const shortcut = presets[name]?.shortcut ?? [1, 2, 3, 4, 5, 6, 7, 8, 9].find(digit => !shortcutsUsed.includes(digit)) ?? null;
+
+    const templates = {};
+    for (const [key, templateJSON] of Object.entries(this.templatesJSON.templates)) {
+      templates[key] = { enabled: templateJSON.enabled !== false, opacity: templateJSON.style?.opacity ?? templateStyleDefault.opacity };
+    }
+
+    presets[name] = { templates, shortcut, savedAt: Date.now() };
+
+    await this.#storeTemplates();
+    return { name, shortcut };
+  }
+
+  /** Enables and disables the templates, and sets their opacity, to match a preset.
+   * Templates created after the preset was saved are disabled.
+   * @param {string} name - The name of the preset
+   * @returns {Promise<number>} The number of templates enabled
+   * @since 0.84.0
+   */
+  async applyPreset(name) {
+
+    const preset = this.templatesJSON?.presets?.[name];
+    if (!preset) {
+      throw new Error(`Preset "${name}" does not exist`);
+    }
+
+    let enabledCount = 0;
+
+    // Changes every template first, and stores them all at once afterwards
+    for (const [key, templateJSON] of Object.entries(this.templatesJSON.templates)) {
+
+      const presetTemplate = preset.templates?.[key];
+      const enabled = !!presetTemplate?.enabled;
+      const opacityCurrent = templateJSON.style?.opacity ?? templateStyleDefault.opacity;
+      const opacity = presetTemplate?.opacity ?? opacityCurrent;
+
+      templateJSON.enabled = enabled;
+      if (opacity !== opacityCurrent) {templateJSON.style = { ...templateStyleDefault, ...templateJSON.style, opacity };}
+      if (enabled) {enabledCount++;}
+
+      const template = this.#findTemplate(key);
+      if (template) {
+        template.enabled = enabled;
+        template.style = { ...templateStyleDefault, ...templateJSON.style };
+        this.#indexTemplate(template); // Also invalidates the tile cache
+      }
+    }
+
+    await this.#storeTemplates();
+    return enabledCount;
+  }
+
+  /** Deletes a preset.
+   * The templates are not changed.
+   * @param {string} name - The name of the preset
+   * @since 0.84.0
+   */
+  async deletePreset(name) {
+    if (!this.templatesJSON?.presets?.[name]) {return;}
+    delete this.templatesJSON.presets[name];
+    await this.#storeTemplates();
+  }
+
+  /** Gets all presets.
+   * @returns {Array<{name: string, shortcut: number|null, enabledCount: number, savedAt: number}>} The presets, sorted by their keyboard shortcut
+   * @since 0.84.0
+   */
+  getPresets() {
+    return Object.entries(this.templatesJSON?.presets || {})
+      .map(([name, preset]) => ({
+        name: name,
+        shortcut: preset.shortcut ?? null,
+        enabledCount: Object.values(preset.templates || {}).filter(template => template.enabled).length,
+        savedAt: preset.savedAt || null
+      }))
+      .sort((a, b) => (a.shortcut ?? Infinity) - (b.shortcut ?? Infinity) || a.name.localeCompare(b.name));
   }
 
   /** Computes the original (unshredded) pixel count from shredded 3x scaled tile bitmaps.
    * Each logical pixel survives only at coordinates where (x % 3 == 1 && y % 3 == 1) with alpha > 0.
+   * #deface pixels are not counted, the same as when the template is chunked.
    * @param {Object<string, ImageBitmap>} tileBitmaps - Map of tile key -> shredded ImageBitmap
    * @returns {Promise<number>} Total reconstructed pixel count
    * @since 0.81.1
@@ -599,8 +2169,9 @@ export default class TemplateManager {
       for (let y = 1; y < height; y += 3) {
         for (let x = 1; x < width; x += 3) {
           const idx = (y * width + x) * 4;
-            // Count any non-transparent center pixel as one logical pixel
-          if (data[idx + 3] > 0) total++;
+            // Count any non-transparent center pixel as one logical pixel, except the translucent black of the #deface checkerboard
+          const isDeface = data[idx + 3] === 32 && !data[idx] && !data[idx + 1] && !data[idx + 2];
+          if (data[idx + 3] > 0 && !isDeface) total++;
         }
       }
     }
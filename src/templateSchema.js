@@ -0,0 +1,286 @@
+/** The version of the template JSON schema this version of the userscript writes.
+ * @since 0.84.0
+ */
+export const templatesSchemaVersion = '2.3.0';
+
+/** The migrations of the template JSON schema.
+ * Each migration upgrades the JSON object by one version, and the migrations run in order.
+ * Add a new migration (and bump {@link templatesSchemaVersion}) whenever the stored template JSON changes shape.
+ * @since 0.84.0
+ */
+const templatesMigrations = [
+  {
+    from: '1.0.0',
+    to: '2.0.0',
+    /** Tiles are stored as plain base 64 instead of data URLs, tile keys are padded, and every template has an enabled state */
+    migrate(json) {
+      for (const template of Object.values(json.templates || {})) {
+        if (!template || typeof template !== 'object') {continue;} // Validation quarantines these later
+
+        const tiles = {};
+        for (const [tile, tileBase64] of Object.entries(template.tiles || {})) {
+
+          // "375,1846,276,188" -> "0375,1846,276,188"
+          const tileParts = tile.split(',');
+          const tilePadded = tileParts.length == 4
+            ? tileParts.map((part, index) => part.trim().padStart(index < 2 ? 4 : 3, '0')).join(',')
+            : tile;
+
+          // "data:image/png;base64,iVBOR..." -> "iVBOR..."
+          tiles[tilePadded] = typeof tileBase64 == 'string' ? tileBase64.replace(/^data:[^,]*,/, '') : tileBase64;
+        }
+        if (template.tiles && typeof template.tiles == 'object') {template.tiles = tiles;}
+
+        template.enabled = template.enabled !== false;
+      }
+    }
+  },
+  {
+    from: '2.0.0',
+    to: '2.1.0',
+    /** Every template has a render mode, and coordinates are stored as "tileX, tileY, pixelX, pixelY" */
+    migrate(json) {
+      for (const template of Object.values(json.templates || {})) {
+        if (!template || typeof template !== 'object') {continue;} // Validation quarantines these later
+
+        template.renderMode = template.renderMode || 'all';
+
+        // [1, 2, 3, 4] or "1,2,3,4" -> "1, 2, 3, 4"
+        if (Array.isArray(template.coords)) {
+          template.coords = template.coords.join(', ');
+        } else if (typeof template.coords == 'string') {
+          template.coords = template.coords.split(',').map(coord => coord.trim()).join(', ');
+        }
+      }
+    }
+  },
+  {
+    from: '2.1.0',
+    to: '2.2.0',
+    /** Template keys are IDs instead of "<sort ID> <author ID>", and the sort ID and author ID are stored in the template */
+    migrate(json) {
+
+      const templates = {};
+      const sortIDsUsed = new Set();
+      let sortIDHighest = -1;
+
+      // Templates are migrated in draw order, so templates that shared a sort ID are drawn in the same order as before
+      const entries = Object.entries(json.templates || {})
+        .map(([key, template]) => [key, template, parseInt(key.split(' ')[0])])
+        .sort((a, b) => (isNaN(a[2]) ? Infinity : a[2]) - (isNaN(b[2]) ? Infinity : b[2]));
+
+      for (const [key, template, sortID] of entries) {
+
+        // "0 $Z" -> "0-$Z". Keys of the same template stay the same, so imports of older exports still conflict with the loaded template
+        const templateID = /^\d+ \S+$/.test(key) ? key.replace(' ', '-') : key;
+
+        if (template && typeof template === 'object' && !Array.isArray(template)) {
+
+          // Two templates with the same sort ID get a new sort ID for the second one
+          template.sortID = !isNaN(sortID) && !sortIDsUsed.has(sortID) ? sortID : sortIDHighest + 1;
+          template.authorID = template.authorID || key.split(' ')[1] || '0';
+          sortIDsUsed.add(template.sortID);
+          sortIDHighest = Math.max(sortIDHighest, template.sortID);
+
+          // Templates from a remote Blue Marble JSON object are matched by the key they have on the remote, which is migrated the same way
+          if (template.URLType == 'json' && /^\d+ \S+$/.test(template.remoteID || '')) {
+            template.remoteID = template.remoteID.replace(' ', '-');
+          }
+        }
+
+        templates[templateID] = template;
+      }
+
+      json.templates = templates;
+    }
+  },
+  {
+    from: '2.2.0',
+    to: '2.3.0',
+    /** The pixel count is counted again from the tiles when the template loads, since older versions counted transparent pixels too */
+    migrate(json) {
+      const recycledTemplates = Object.values(json.recycleBin || {}).map(recycled => recycled?.template); // Deleted templates are counted again when they are restored
+      for (const template of [...Object.values(json.templates || {}), ...recycledTemplates]) {
+        if (!template || typeof template !== 'object') {continue;} // Validation quarantines these later
+
+        delete template.pixelCount;
+      }
+    }
+  }
+];
+
+/** Compares two versions (e.g. "2.1.0").
+ * @param {string} versionA - The first version
+ * @param {string} versionB - The second version
+ * @returns {number} Negative if version A is older, positive if version A is newer, and 0 if they are the same
+ * @since 0.84.0
+ */
+export function compareVersions(versionA, versionB) {
+
+  const partsA = String(versionA || '0').split('.').map(part => parseInt(part) || 0);
+  const partsB = String(versionB || '0').split('.').map(part => parseInt(part) || 0);
+
+  for (let index = 0; index < Math.max(partsA.length, partsB.length); index++) {
+    const difference = (partsA[index] || 0) - (partsB[index] || 0);
+    if (difference != 0) {return difference;}
+  }
+
+  return 0;
+}
+
+/** Upgrades a template JSON object to the current schema version, one version at a time.
+ * JSON objects without a schema version are assumed to be version 1.0.0.
+ * JSON objects from a newer version of the userscript are not changed.
+ * @param {Object} json - The template JSON object. It is changed in place
+ * @returns {{json: Object, fromVersion: string, migrated: boolean, isNewer: boolean}} The JSON object, the version it was, whether it was upgraded, and whether it is newer than this userscript
+ * @since 0.84.0
+ */
+export function migrateTemplatesJSON(json) {
+
+  const fromVersion = json.schemaVersion || '1.0.0';
+  let version = fromVersion;
+
+  // JSON objects from the future are kept as they are, and hopefully still compatible
+  if (compareVersions(version, templatesSchemaVersion) > 0) {
+    return { json, fromVersion, migrated: false, isNewer: true };
+  }
+
+  for (const migration of templatesMigrations) {
+    if (compareVersions(version, migration.to) >= 0) {continue;} // Already at, or past, this version
+
+    console.log(`Migrating template JSON from ${version} to ${migration.to}...`);
+    migration.migrate(json);
+    version = migration.to;
+  }
+
+  json.schemaVersion = version;
+
+  return { json, fromVersion, migrated: version != fromVersion, isNewer: false };
+}
+
+/** Validates the structure of a template in the JSON object.
+ * @param {string} key - The key of the template (e.g. "6f1c2a9e-3b7d-4c55-9a0e-2d8b1f4c7e31")
+ * @param {Object} template - The JSON object of the template
+ * @param {number} tileSize - The number of pixels in a tile (see {@link TemplateManager#tileSize})
+ * @returns {Array<string>} Why the template is invalid. Empty if the template is valid
+ * @since 0.84.0
+ */
+export function validateTemplate(key, template, tileSize) {
+
+  const errors = [];
+  const isBase64 = (text) => typeof text == 'string' && text.length > 0 && text.length % 4 == 0 && /^[A-Za-z0-9+/]+={0,2}$/.test(text);
+
+  if (!/^\S+$/.test(key)) {
+    errors.push(`The key "${key}" is not a template ID`);
+  }
+
+  if (!template || typeof template !== 'object' || Array.isArray(template)) {
+    errors.push('The template is not an object');
+    return errors; // Nothing else can be checked
+  }
+
+  if (template.name !== undefined && typeof template.name !== 'string') {
+    errors.push('The name is not text');
+  }
+
+  if (template.group !== undefined && typeof template.group !== 'string') {
+    errors.push('The group is not text');
+  }
+
+  if (!Number.isInteger(template.sortID) || template.sortID < 0) {
+    errors.push(`The sort ID "${template.sortID}" is not a whole number`);
+  }
+
+  // Coordinates are optional, since very old templates do not have them
+  if (template.coords !== undefined) {
+    const coords = String(template.coords).split(',').map(Number);
+    if (coords.length !== 4 || !coords.every(coord => Number.isInteger(coord) && coord >= 0) || coords[2] >= tileSize || coords[3] >= tileSize) {
+      errors.push(`The coordinates "${template.coords}" are not "tileX, tileY, pixelX, pixelY"`);
+    }
+  }
+
+  if (!template.tiles || typeof template.tiles !== 'object' || Object.keys(template.tiles).length == 0) {
+    errors.push('The template has no tiles');
+  } else {
+    for (const [tile, tileBase64] of Object.entries(template.tiles)) {
+      if (!/^\d{4},\d{4},\d{3},\d{3}$/.test(tile)) {errors.push(`The tile "${tile}" is not "0000,0000,000,000"`);}
+      if (!isBase64(tileBase64)) {errors.push(`The tile "${tile}" is not base 64`);}
+    }
+  }
+
+  if (template.source !== undefined && template.source !== null && !isBase64(template.source)) {
+    errors.push('The source image is not base 64');
+  }
+
+  // The style is optional, since templates without one use the default style
+  if (template.style !== undefined) {
+    errors.push(...validateTemplateStyle(template.style));
+  }
+
+  return errors;
+}
+
+/** Validates the style of a template.
+ * Settings that are missing are valid, since they fall back to the default style.
+ * @param {Object} style - The style of the template
+ * @returns {Array<string>} Why the style is invalid. Empty if the style is valid
+ * @since 0.84.0
+ */
+export function validateTemplateStyle(style) {
+
+  if (!style || typeof style !== 'object' || Array.isArray(style)) {
+    return ['The style is not an object'];
+  }
+
+  const errors = [];
+
+  if (style.opacity !== undefined && !(typeof style.opacity == 'number' && style.opacity >= 0 && style.opacity <= 1)) {
+    errors.push(`The opacity "${style.opacity}" is not between 0 and 1`);
+  }
+
+  if (style.shape !== undefined && !['dot', 'block', 'outline', 'crosshair'].includes(style.shape)) {
+    errors.push(`The shape "${style.shape}" is not 'dot', 'block', 'outline', or 'crosshair'`);
+  }
+
+  if (style.tint !== undefined && style.tint !== null && !/^#[0-9a-f]{6}$/i.test(style.tint)) {
+    errors.push(`The tint "${style.tint}" is not a "#rrggbb" color`);
+  }
+
+  return errors;
+}
+
+/** Moves every invalid template of the JSON object into the quarantine of the JSON object.
+ * Quarantined templates are not loaded, but they are kept so they can be recovered.
+ * @param {Object} json - The template JSON object. It is changed in place
+ * @param {number} tileSize - The number of pixels in a tile (see {@link TemplateManager#tileSize})
+ * @returns {Array<string>} The keys of the templates that were quarantined
+ * @since 0.84.0
+ */
+export function quarantineInvalidTemplates(json, tileSize) {
+
+  const quarantinedKeys = [];
+
+  for (const [key, template] of Object.entries(json.templates || {})) {
+
+    const errors = validateTemplate(key, template, tileSize);
+    if (errors.length == 0) {continue;}
+
+    console.warn(`[BlueMarble] Quarantined template "${key}":`, errors);
+    quarantineTemplate(json, key, errors);
+    quarantinedKeys.push(key);
+  }
+
+  return quarantinedKeys;
+}
+
+/** Moves a template of the JSON object into the quarantine of the JSON object.
+ * @param {Object} json - The template JSON object. It is changed in place
+ * @param {string} key - The key of the template
+ * @param {Array<string>} errors - Why the template was quarantined
+ * @since 0.84.0
+ */
+export function quarantineTemplate(json, key, errors) {
+  json.quarantine = json.quarantine || {};
+  json.quarantine[key] = { template: json.templates[key], errors: errors, quarantinedAt: Date.now() };
+  delete json.templates[key];
+}
@@ -0,0 +1,380 @@
+import { base64ToUint8, hashBlob, uint8ToBase64 } from "./utils";
+
+/** The parts of the template JSON object that are stored as one record per key.
+ * The images of each record are stored as separate blobs, with the key [...blobPrefix, record key, blob name].
+ * @since 0.84.0
+ */
+const recordStores = [
+  {
+    store: 'templates', // Template key -> template, without images
+    blobPrefix: [],
+    getTemplate: (record) => record,
+    setTemplate: (record, template) => template
+  },
+  {
+    store: 'recycleBin', // Template key -> deleted template, without images
+    blobPrefix: ['recycleBin'],
+    getTemplate: (record) => record?.template,
+    setTemplate: (record, template) => ({ ...record, template })
+  }
+];
+
+/** Stores the template JSON object.
+ * Templates are stored in IndexedDB, where every tile (and source image) is a separate PNG blob.
+ * Deleted templates in the recycle bin are stored the same way.
+ * Only the templates, and blobs, that changed since the last save are written.
+ * When IndexedDB is not available, the whole JSON object is compressed and stored in userscript storage instead.
+ * @class TemplateStorage
+ * @since 0.84.0
+ * @example
+ * const storage = new TemplateStorage();
+ * const json = await storage.load(); // Null if nothing is stored
+ * json.templates['0-$Z'].enabled = false;
+ * await storage.save(json); // Only writes the "0-$Z" template
+ */
+export default class TemplateStorage {
+
+  /** The constructor for the {@link TemplateStorage} class.
+   * @param {string} [databaseName='BlueMarble'] - The name of the IndexedDB database
+   * @since 0.84.0
+   */
+  constructor(databaseName = 'BlueMarble') {
+    this.databaseName = databaseName;
+    this.databaseVersion = 2; // Version of the IndexedDB object stores
+    this.database = null; // The open IndexedDB database, or null if it is not open (yet)
+    this.isFallback = false; // Is the userscript storage used, because IndexedDB is not available?
+    this.savedRecords = new Map(); // "<object store>\n<key>" -> the stored record (without images) as a string
+    this.savedBlobs = new Map(); // "<object store>\n<key>\n<blob name>" -> the hash of the stored blob, or null if it was not hashed
+    this.savedImages = new Map(); // "<object store>\n<key>" -> the tiles object, and the length of the source image, of the stored record
+    this.saving = Promise.resolve(); // The last save. Saves run one at a time, in order
+  }
+
+  /** Loads the template JSON object.
+   * Templates stored by older versions (in userscript storage, or the localStorage backup) are moved into IndexedDB.
+   * @returns {Promise<Object|null>} The template JSON object, or null if nothing is stored
+   * @since 0.84.0
+   */
+  async load() {
+
+    try {
+      await this.#openDatabase();
+      const json = await this.#loadDatabase();
+      if (json) {return json;}
+    } catch (exception) {
+      console.warn('[BlueMarble] IndexedDB is not available. Using userscript storage instead:', exception);
+      this.isFallback = true;
+    }
+
+    const json = await this.#loadLegacy();
+
+    // Moves the templates of older versions into IndexedDB. The old copies are kept as a backup
+    if (json && !this.isFallback) {
+      console.info('[BlueMarble] Migrating templates to IndexedDB.');
+      await this.save(json);
+    }
+
+    return json;
+  }
+
+  /** Saves the template JSON object.
+   * Saves are queued, so they never overlap.
+   * @param {Object} json - The template JSON object
+   * @returns {Promise<void>}
+   * @since 0.84.0
+   */
+  save(json) {
+    this.saving = this.saving
+      .then(async () => {
+
+        // Saving before loading opens the database here instead
+        if (!this.isFallback) {
+          try {
+            await this.#openDatabase();
+          } catch (exception) {
+            console.warn('[BlueMarble] IndexedDB is not available. Using userscript storage instead:', exception);
+            this.isFallback = true;
+          }
+        }
+
+        return this.isFallback ? this.#saveLegacy(json) : this.#saveDatabase(json);
+      })
+      .catch(exception => console.error('[BlueMarble] Failed to store templates:', exception));
+    return this.saving;
+  }
+
+  /** Opens the IndexedDB database, and creates the object stores if they do not exist.
+   * @returns {Promise<IDBDatabase>} The database
+   * @since 0.84.0
+   */
+  #openDatabase() {
+
+    if (this.database) {return Promise.resolve(this.database);}
+
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.databaseName, this.databaseVersion);
+
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        if (!database.objectStoreNames.contains('meta')) {database.createObjectStore('meta');} // The JSON object, without the templates
+        for (const { store } of recordStores) {
+          if (!database.objectStoreNames.contains(store)) {database.createObjectStore(store);} // Key -> record, without images
+        }
+        if (!database.objectStoreNames.contains('blobs')) {database.createObjectStore('blobs');} // [...blob prefix, key, blob name] -> PNG blob
+      };
+
+      request.onsuccess = () => {this.database = request.result; resolve(this.database);};
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('The database is blocked by another tab'));
+    });
+  }
+
+  /** Loads the template JSON object from IndexedDB.
+   * @returns {Promise<Object|null>} The template JSON object, or null if nothing is stored
+   * @since 0.84.0
+   */
+  async #loadDatabase() {
+
+    const stores = ['meta', 'blobs', ...recordStores.map(({ store }) => store)];
+    const transaction = this.database.transaction(stores, 'readonly');
+
+    const meta = await this.#request(transaction.objectStore('meta').get('root'));
+    if (!meta) {return null;}
+
+    const json = { ...meta };
+    this.savedRecords.clear();
+    this.savedBlobs.clear();
+    this.savedImages.clear();
+
+    for (const { store } of recordStores) {
+
+      const keys = await this.#request(transaction.objectStore(store).getAllKeys());
+      const records = await this.#request(transaction.objectStore(store).getAll());
+
+      json[store] = { ...json[store] }; // Older versions kept the recycle bin in the root record
+      keys.forEach((key, index) => {
+        json[store][key] = records[index];
+        this.savedRecords.set(`${store}\n${key}`, JSON.stringify(records[index]));
+      });
+    }
+
+    // Reads every blob with a cursor, since their keys are [...blob prefix, key, blob name]
+    const blobs = [];
+    await new Promise((resolve, reject) => {
+      const request = transaction.objectStore('blobs').openCursor();
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) {resolve(); return;}
+        blobs.push([cursor.key, cursor.value]);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+
+    for (const [blobKey, blob] of blobs) {
+
+      const { store, getTemplate } = recordStores.find(({ blobPrefix }) => blobKey.length == blobPrefix.length + 2 && blobPrefix.every((part, index) => blobKey[index] === part)) || {};
+      const [key, blobName] = blobKey.slice(-2);
+      const template = store && getTemplate(json[store][key]);
+      if (!template) {continue;} // Orphaned blob of a deleted record
+
+      const base64 = uint8ToBase64(new Uint8Array(await blob.arrayBuffer()));
+
+      if (blobName == 'source') {
+        template.source = base64;
+      } else {
+        template.tiles = template.tiles || {}; // Deleted templates with a source image are stored without tiles
+        template.tiles[blobName] = base64;
+      }
+
+      this.savedBlobs.set(`${store}\n${key}\n${blobName}`, null); // Only hashed once the images of the record change
+    }
+
+    for (const { store, getTemplate } of recordStores) {
+      for (const [key, record] of Object.entries(json[store])) {
+        this.savedImages.set(`${store}\n${key}`, { tiles: getTemplate(record)?.tiles, sourceLength: getTemplate(record)?.source?.length || 0 });
+      }
+    }
+
+    return json;
+  }
+
+  /** Saves the changes to the template JSON object into IndexedDB.
+   * Records, and blobs, that did not change since the last save are not written again.
+   * The images of a record are only hashed when its tiles object, or the length of its source image, changed.
+   * Tiles are always replaced with a new object when a template is chunked again, so an unchanged tiles object has unchanged tiles.
+   * @param {Object} json - The template JSON object
+   * @since 0.84.0
+   */
+  async #saveDatabase(json) {
+
+    const meta = { ...json };
+    for (const { store } of recordStores) {delete meta[store];}
+
+    const recordsChanged = new Map(); // Record key -> record without images
+    const blobsChanged = new Map(); // Blob key -> the PNG blob, and its hash
+    const recordsCurrent = new Set();
+    const blobsCurrent = new Set();
+    const imagesCurrent = new Map(); // Record key -> the tiles object, and the length of the source image
+
+    // Finds what changed since the last save
+    for (const { store, getTemplate, setTemplate } of recordStores) {
+      for (const [key, record] of Object.entries(json[store] || {})) {
+
+        const { tiles, source, ...templateWithoutImages } = getTemplate(record) || {};
+        const recordWithoutImages = setTemplate(record, templateWithoutImages);
+        const recordKey = `${store}\n${key}`;
+
+        recordsCurrent.add(recordKey);
+        if (this.savedRecords.get(recordKey) !== JSON.stringify(recordWithoutImages)) {recordsChanged.set(recordKey, recordWithoutImages);}
+
+        const images = { tiles, sourceLength: source?.length || 0 };
+        const saved = this.savedImages.get(recordKey);
+        const isImagesChanged = saved?.tiles !== images.tiles || saved?.sourceLength !== images.sourceLength;
+        imagesCurrent.set(recordKey, images);
+
+        for (const [blobName, base64] of [...Object.entries(tiles || {}), ...(source ? [['source', source]] : [])]) {
+          const blobKey = `${recordKey}\n${blobName}`;
+          blobsCurrent.add(blobKey);
+          if (!isImagesChanged && this.savedBlobs.has(blobKey)) {continue;}
+
+          const blob = new Blob([base64ToUint8(base64)], { type: 'image/png' });
+          const hash = await hashBlob(blob);
+          if (this.savedBlobs.get(blobKey) !== hash) {blobsChanged.set(blobKey, { blob, hash });}
+        }
+      }
+    }
+
+    const recordsDeleted = [...this.savedRecords.keys()].filter(recordKey => !recordsCurrent.has(recordKey));
+    const blobsDeleted = [...this.savedBlobs.keys()].filter(blobKey => !blobsCurrent.has(blobKey));
+
+    // "<object store>\n<key>\n<blob name>" -> [...blob prefix, key, blob name]
+    const toDatabaseKey = (blobKey) => {
+      const [store, key, blobName] = blobKey.split('\n');
+      return [...recordStores.find(recordStore => recordStore.store == store).blobPrefix, key, blobName];
+    };
+
+    const transaction = this.database.transaction(['meta', 'blobs', ...recordStores.map(({ store }) => store)], 'readwrite');
+    const storeBlobs = transaction.objectStore('blobs');
+
+    transaction.objectStore('meta').put(meta, 'root');
+
+    for (const [recordKey, record] of recordsChanged) {
+      const [store, key] = recordKey.split('\n');
+      transaction.objectStore(store).put(record, key);
+    }
+    for (const recordKey of recordsDeleted) {
+      const [store, key] = recordKey.split('\n');
+      transaction.objectStore(store).delete(key);
+    }
+
+    for (const [blobKey, { blob }] of blobsChanged) {storeBlobs.put(blob, toDatabaseKey(blobKey));}
+    for (const blobKey of blobsDeleted) {storeBlobs.delete(toDatabaseKey(blobKey));}
+
+    await new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('The transaction was aborted'));
+    });
+
+    // Remembers what is stored now, only after it was stored successfully
+    for (const [recordKey, record] of recordsChanged) {this.savedRecords.set(recordKey, JSON.stringify(record));}
+    for (const recordKey of recordsDeleted) {this.savedRecords.delete(recordKey);}
+    for (const [blobKey, { hash }] of blobsChanged) {this.savedBlobs.set(blobKey, hash);}
+    for (const blobKey of blobsDeleted) {this.savedBlobs.delete(blobKey);}
+    this.savedImages = imagesCurrent;
+
+    console.log(`Stored ${recordsChanged.size} record(s) and ${blobsChanged.size} blob(s). Deleted ${recordsDeleted.length} record(s) and ${blobsDeleted.length} blob(s)`);
+  }
+
+  /** Loads the template JSON object from userscript storage, or from the localStorage backup.
+   * @returns {Promise<Object|null>} The template JSON object, or null if nothing is stored
+   * @since 0.84.0
+   */
+  async #loadLegacy() {
+
+    let json = null;
+
+    try {
+      json = JSON.parse(await this.#decompress(GM_getValue('bmTemplates', '{}'))) || null;
+    } catch (e) {
+      console.warn('[BlueMarble] Failed to parse GM stored templates:', e);
+    }
+
+    // If empty, attempt migration from localStorage backup (handles @name changes)
+    if (!json?.templates || Object.keys(json.templates).length === 0) {
+      try {
+        const ls = localStorage.getItem('BlueMarbleTemplates');
+        if (ls) {
+          const parsed = JSON.parse(await this.#decompress(ls));
+          if (parsed && parsed.templates && Object.keys(parsed.templates).length) {
+            console.info('[BlueMarble] Migrating templates from localStorage backup.');
+            json = parsed;
+          }
+        }
+      } catch (e) {
+        console.warn('[BlueMarble] Failed localStorage migration attempt:', e);
+      }
+    }
+
+    return json?.templates ? json : null;
+  }
+
+  /** Saves the whole template JSON object into userscript storage, and the localStorage backup.
+   * @param {Object} json - The template JSON object
+   * @since 0.84.0
+   */
+  async #saveLegacy(json) {
+
+    const compressed = await this.#compress(JSON.stringify(json));
+
+    // Persist to userscript storage (scoped to @name/@namespace)
+    await GM.setValue('bmTemplates', compressed);
+    // ALSO persist to localStorage under a stable key so a future @name change can migrate data
+    try {
+      localStorage.setItem('BlueMarbleTemplates', compressed);
+    } catch (e) {
+      console.warn('[BlueMarble] Failed to write localStorage backup for templates:', e);
+    }
+  }
+
+  /** Compresses text with gzip.
+   * Returns the text unchanged if the browser can not compress.
+   * @param {string} text - The text to compress
+   * @returns {Promise<string>} "gzip:" followed by the base 64 encoded compressed text
+   * @since 0.84.0
+   */
+  async #compress(text) {
+
+    if (typeof CompressionStream === 'undefined') {return text;}
+
+    const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+    const buffer = await new Response(stream).arrayBuffer();
+    return `gzip:${uint8ToBase64(new Uint8Array(buffer))}`;
+  }
+
+  /** Decompresses text compressed by {@link TemplateStorage#compress}.
+   * Text that is not compressed is returned unchanged.
+   * @param {string} text - The text to decompress
+   * @returns {Promise<string>} The decompressed text
+   * @since 0.84.0
+   */
+  async #decompress(text) {
+
+    if (typeof text !== 'string' || !text.startsWith('gzip:')) {return text;}
+
+    const stream = new Blob([base64ToUint8(text.slice('gzip:'.length))]).stream().pipeThrough(new DecompressionStream('gzip'));
+    return await new Response(stream).text();
+  }
+
+  /** Waits for an IndexedDB request.
+   * @param {IDBRequest} request - The request
+   * @returns {Promise<*>} The result of the request
+   * @since 0.84.0
+   */
+  #request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
@@ -0,0 +1,113 @@
+/** A least recently used (LRU) cache of tiles that already have the templates drawn on them.
+ * The oldest tiles are removed when there are too many tiles, or they use too much memory.
+ * @class TileCache
+ * @since 0.84.0
+ * @example
+ * const tileCache = new TileCache({ maxBytes: 64 * 1024 * 1024 });
+ * const key = `0001,0002|${revision}|${await hashBlob(tileBlob)}`;
+ * const blob = tileCache.get(key) || await drawTile(tileBlob);
+ * tileCache.set(key, blob);
+ */
+export default class TileCache {
+
+  /** The constructor for the {@link TileCache} class.
+   * @param {Object} [params={}] - Object containing all optional parameters
+   * @param {number} [params.maxBytes=67108864] - The maximum size of all cached tiles combined, in bytes (64 MB)
+   * @param {number} [params.maxEntries=256] - The maximum number of cached tiles
+   * @since 0.84.0
+   */
+  constructor({
+    maxBytes = 64 * 1024 * 1024,
+    maxEntries = 256
+  } = {}) {
+    this.maxBytes = maxBytes;
+    this.maxEntries = maxEntries;
+    this.entries = new Map(); // Key -> Blob. A Map keeps the insertion order, so the first entry is the least recently used
+    this.bytes = 0; // The size of all cached tiles combined
+    this.hits = 0; // The number of times a tile was found in the cache
+    this.misses = 0; // The number of times a tile was not found in the cache
+    this.evictions = 0; // The number of tiles removed to stay within the limits
+  }
+
+  /** Retrieves a cached tile, and marks it as the most recently used.
+   * @param {string} key - The key of the tile
+   * @returns {Blob|undefined} The cached tile, or undefined if the tile is not cached
+   * @since 0.84.0
+   */
+  get(key) {
+
+    const blob = this.entries.get(key);
+
+    if (!blob) {
+      this.misses++;
+      return undefined;
+    }
+
+    // Moves the tile to the end, which makes it the most recently used
+    this.entries.delete(key);
+    this.entries.set(key, blob);
+
+    this.hits++;
+    return blob;
+  }
+
+  /** Caches a tile.
+   * Tiles larger than the memory limit are not cached.
+   * @param {string} key - The key of the tile
+   * @param {Blob} blob - The tile
+   * @since 0.84.0
+   */
+  set(key, blob) {
+
+    this.delete(key); // Replaces the old tile, if any
+
+    if (blob.size > this.maxBytes) {return;} // Kills itself if the tile would never fit
+
+    this.entries.set(key, blob);
+    this.bytes += blob.size;
+
+    // Removes the least recently used tiles until the cache is within the limits
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      this.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  /** Removes a cached tile.
+   * @param {string} key - The key of the tile
+   * @since 0.84.0
+   */
+  delete(key) {
+
+    const blob = this.entries.get(key);
+    if (!blob) {return;}
+
+    this.entries.delete(key);
+    this.bytes -= blob.size;
+  }
+
+  /** Removes every cached tile.
+   * The hit and miss counters are kept.
+   * @since 0.84.0
+   */
+  clear() {
+    this.entries.clear();
+    this.bytes = 0;
+  }
+
+  /** Retrieves the statistics of the cache.
+   * @returns {{entries: number, bytes: number, maxEntries: number, maxBytes: number, hits: number, misses: number, evictions: number}} The statistics
+   * @since 0.84.0
+   */
+  getStats() {
+    return {
+      entries: this.entries.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      hits: this.hits,
+      misses: this.misses,
+      evictions: this.evictions
+    };
+  }
+}
@@ -3,6 +3,7 @@
 /** Sanitizes HTML to display as plain-text.
  * This prevents some Cross Site Scripting (XSS).
  * This is handy when you are displaying user-made data, and you *must* use innerHTML.
+ * Quotes are escaped too, so the text can also be put inside of an attribute.
  * @param {string} text - The text to sanitize
  * @returns {string} HTML escaped string
  * @since 0.44.2
@@ -19,7 +20,7 @@
 export function escapeHTML(text) {
   const div = document.createElement('div'); // Creates a div
   div.textContent = text; // Puts the text in a PLAIN-TEXT property
-  return div.innerHTML; // Returns the HTML property of the div
+  return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;'); // Returns the HTML property of the div, with quotes escaped for attributes
 }
 
 /** Converts the server tile-pixel coordinate system to the displayed tile-pixel coordinate system.
@@ -127,6 +128,67 @@ export function base64ToUint8(base64) {
   return array;
 }
 
+/** Hashes the bytes of a blob with SHA-256.
+ * @param {Blob} blob - The blob to hash
+ * @returns {Promise<string>} The hash as a hex string
+ * @since 0.84.0
+ */
+export async function hashBlob(blob) {
+  const hash = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return Array.from(new Uint8Array(hash), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/** Requests a file from any website.
+ * Uses the cross origin request of the userscript manager when it is available, since most websites block cross origin requests from wplace.live.
+ * Otherwise, this falls back to a normal fetch.
+ * No cookies are sent, since the URL can come from an imported file.
+ * @param {string} url - The URL of the file
+ * @param {Object} [options={}] - Object containing all optional parameters
+ * @param {Object<string, string>} [options.headers={}] - The headers to send with the request
+ * @param {string} [options.responseType='blob'] - The type of the response. Either 'blob' or 'text'
+ * @returns {Promise<{status: number, headers: Object<string, string>, response: Blob|string}>} The status, the headers (with lowercase names), and the body of the response
+ * @since 0.84.0
+ */
+export function requestRemote(url, { headers = {}, responseType = 'blob' } = {}) {
+
+  // Fallback for userscript managers without cross origin requests
+  if (typeof GM === 'undefined' || !GM?.xmlHttpRequest) {
+    return fetch(url, { headers, credentials: 'omit' }).then(async response => ({
+      status: response.status,
+      headers: Object.fromEntries(response.headers),
+      response: responseType == 'text' ? await response.text() : await response.blob()
+    }));
+  }
+
+  return new Promise((resolve, reject) => {
+    GM.xmlHttpRequest({
+      method: 'GET',
+      url: url,
+      headers: headers,
+      anonymous: true, // Does not send the cookies of the website
+      responseType: responseType == 'text' ? undefined : 'blob',
+      timeout: 30000, // 30 seconds
+      onload: (response) => {
+
+        // "Name: value\r\n" -> { name: 'value' }
+        const responseHeaders = {};
+        for (const line of (response.responseHeaders || '').split(/\r?\n/)) {
+          const separator = line.indexOf(':');
+          if (separator > 0) {responseHeaders[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();}
+        }
+
+        resolve({
+          status: response.status,
+          headers: responseHeaders,
+          response: responseType == 'text' ? response.responseText : response.response
+        });
+      },
+      onerror: () => reject(new Error(`Failed to request "${url}"`)),
+      ontimeout: () => reject(new Error(`The request to "${url}" timed out`))
+    });
+  });
+}
+
 /** The color palette used by wplace.live
  * @since 0.78.0
  * @examples
@@ -391,4 +453,196 @@ export const colorpalette = [
     "name": "Light Stone",
     "rgb": [205, 197, 158]
   }
-];
\ No newline at end of file
+];
+
+/** Converts an sRGB color to the CIELAB color space (D65 white point).
+ * @param {Array<number>} rgb - The color to convert as [red, green, blue] (0-255)
+ * @returns {Array<number>} The color as [L, a, b]
+ * @since 0.84.0
+ * @example
+ * console.log(rgbToLab([255, 255, 255])); // [100, 0, 0] (approximately)
+ */
+export function rgbToLab(rgb) {
+
+  // sRGB -> linear RGB
+  const [red, green, blue] = rgb.map(channel => {
+    channel /= 255;
+    return channel <= 0.04045 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+  });
+
+  // Linear RGB -> XYZ, normalized by the D65 white point
+  const xyz = [
+    (red * 0.4124 + green * 0.3576 + blue * 0.1805) / 0.95047,
+    (red * 0.2126 + green * 0.7152 + blue * 0.0722) / 1.00000,
+    (red * 0.0193 + green * 0.1192 + blue * 0.9505) / 1.08883
+  ].map(value => value > 0.008856 ? Math.cbrt(value) : (7.787 * value) + (16 / 116));
+
+  // XYZ -> Lab
+  return [(116 * xyz[1]) - 16, 500 * (xyz[0] - xyz[1]), 200 * (xyz[1] - xyz[2])];
+}
+
+/** The Lab values of palette colors, for {@link findClosestPaletteColor}
+ * @since 0.84.0
+ */
+const paletteLabCache = new Map();
+
+/** Finds the color in the palette closest to a color.
+ * @param {Array<number>} rgb - The color to match as [red, green, blue] (0-255)
+ * @param {string} [metric='lab'] - How the distance between two colors is measured. Either 'rgb' (euclidean) or 'lab' (CIE76)
+ * @param {Array<{name: string, rgb: Array<number>}>} [palette] - The palette to search. Defaults to {@link colorpalette} without "Transparent"
+ * @returns {{name: string, rgb: Array<number>}} The closest palette color
+ * @since 0.84.0
+ * @example
+ * console.log(findClosestPaletteColor([250, 250, 250]).name); // "White"
+ */
+export function findClosestPaletteColor(rgb, metric = 'lab', palette = colorpalette.slice(1)) {
+
+  const target = metric == 'lab' ? rgbToLab(rgb) : rgb;
+
+  let closestColor = palette[0];
+  let closestDistance = Infinity;
+
+  for (const color of palette) {
+    // Palette colors never change, so their Lab values are only calculated once
+    if (metric == 'lab' && !paletteLabCache.has(color)) {paletteLabCache.set(color, rgbToLab(color.rgb));}
+    const candidate = metric == 'lab' ? paletteLabCache.get(color) : color.rgb;
+
+    // Squared distance is enough to compare, so the square root is skipped
+    const distance = (target[0] - candidate[0]) ** 2 + (target[1] - candidate[1]) ** 2 + (target[2] - candidate[2]) ** 2;
+
+    if (distance < closestDistance) {
+      closestDistance = distance;
+      closestColor = color;
+    }
+  }
+
+  return closestColor;
+}
+
+/** Maps every pixel of an image to the closest color in the palette.
+ * Pixels that are mostly transparent become fully transparent, and every other pixel becomes fully opaque.
+ * Pixels in the color #deface are kept as-is, since they are not placed.
+ * @param {ImageData} imageData - The image to quantize. This is not modified
+ * @param {Object} [options={}] - Object containing all optional parameters
+ * @param {string} [options.metric='lab'] - How the distance between two colors is measured. Either 'rgb' (euclidean) or 'lab' (CIE76)
+ * @param {string} [options.dither='none'] - The dithering to apply. Either 'none', 'floyd-steinberg', or 'ordered' (4x4 Bayer matrix)
+ * @param {Array<{name: string, rgb: Array<number>}>} [options.palette] - The palette to use. Defaults to {@link colorpalette} without "Transparent"
+ * @returns {{imageData: ImageData, changedPixels: number}} The quantized image, and how many pixels changed color
+ * @since 0.84.0
+ */
+export function quantizeImageData(imageData, { metric = 'lab', dither = 'none', palette = colorpalette.slice(1) } = {}) {
+
+  const { width, height } = imageData;
+  const source = imageData.data;
+  const output = new Uint8ClampedArray(source);
+  const closestCache = new Map(); // Packed RGB -> closest palette color. Images tend to repeat colors, so this saves most of the searching
+  let changedPixels = 0;
+
+  // Accumulated error for Floyd–Steinberg. 3 channels per pixel
+  const error = dither == 'floyd-steinberg' ? new Float32Array(width * height * 3) : null;
+
+  // The 4x4 Bayer matrix, normalized to -0.5 ... 0.5, scaled by how strong the dithering should be
+  const bayerMatrix = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5];
+  const bayerStrength = 32;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+
+      const pixel = y * width + x; // Index of the pixel
+      const pixelIndex = pixel * 4; // Index of the pixel in an array where every 4 indexes are 1 pixel
+
+      // Mostly transparent pixels become transparent
+      if (source[pixelIndex + 3] < 128) {
+        output[pixelIndex + 3] = 0;
+        continue;
+      }
+
+      output[pixelIndex + 3] = 255;
+
+      // #deface is not a real color, so it is not quantized
+      if (source[pixelIndex] === 222 && source[pixelIndex + 1] === 250 && source[pixelIndex + 2] === 206) {continue;}
+
+      let rgb = [source[pixelIndex], source[pixelIndex + 1], source[pixelIndex + 2]];
+
+      // Applies the dithering to the color we are looking for
+      if (error) {
+        rgb = rgb.map((channel, index) => channel + error[pixel * 3 + index]);
+      } else if (dither == 'ordered') {
+        const threshold = ((bayerMatrix[(y % 4) * 4 + (x % 4)] / 16) - 0.5) * bayerStrength;
+        rgb = rgb.map(channel => channel + threshold);
+      }
+
+      rgb = rgb.map(channel => Math.max(0, Math.min(255, Math.round(channel))));
+
+      // Finds the closest palette color
+      const packedRGB = (rgb[0] << 16) | (rgb[1] << 8) | rgb[2];
+      let closestColor = closestCache.get(packedRGB);
+      if (!closestColor) {
+        closestColor = findClosestPaletteColor(rgb, metric, palette);
+        closestCache.set(packedRGB, closestColor);
+      }
+
+      // Spreads the difference to the neighbouring pixels that have not been processed yet
+      if (error) {
+        for (let channel = 0; channel < 3; channel++) {
+          const difference = rgb[channel] - closestColor.rgb[channel];
+          if (x + 1 < width) {error[(pixel + 1) * 3 + channel] += difference * 7 / 16;}
+          if (y + 1 < height) {
+            if (x > 0) {error[(pixel + width - 1) * 3 + channel] += difference * 3 / 16;}
+            error[(pixel + width) * 3 + channel] += difference * 5 / 16;
+            if (x + 1 < width) {error[(pixel + width + 1) * 3 + channel] += difference * 1 / 16;}
+          }
+        }
+      }
+
+      if (
+        source[pixelIndex] !== closestColor.rgb[0] ||
+        source[pixelIndex + 1] !== closestColor.rgb[1] ||
+        source[pixelIndex + 2] !== closestColor.rgb[2]
+      ) {
+        changedPixels++;
+      }
+
+      output.set(closestColor.rgb, pixelIndex);
+    }
+  }
+
+  return { imageData: new ImageData(output, width, height), changedPixels };
+}
+
+/** Replaces colors of an image with other colors.
+ * Only pixels that are not fully transparent are replaced.
+ * @param {ImageData} imageData - The image to remap. This is not modified
+ * @param {Object<string, Array<number>|null>} colorMap - The colors to replace ("#rrggbb") -> the color to replace them with as [red, green, blue], or null to make them transparent
+ * @returns {{imageData: ImageData, changedPixels: number}} The remapped image, and how many pixels changed color
+ * @since 0.84.0
+ * @example
+ * const { imageData } = remapImageData(image, {'#ff0000': [237, 28, 36], '#00ff00': null}); // Red becomes the palette red, and green becomes transparent
+ */
+export function remapImageData(imageData, colorMap) {
+
+  const source = imageData.data;
+  const output = new Uint8ClampedArray(source);
+  let changedPixels = 0;
+
+  // Packed RGB -> the replacement, so the hex string is not made for every pixel
+  const packedMap = new Map(Object.entries(colorMap).map(([hex, rgb]) => [parseInt(hex.slice(1), 16), rgb]));
+
+  for (let pixelIndex = 0; pixelIndex < source.length; pixelIndex += 4) {
+
+    if (source[pixelIndex + 3] === 0) {continue;} // Transparent pixels have no color to replace
+
+    const packedRGB = (source[pixelIndex] << 16) | (source[pixelIndex + 1] << 8) | source[pixelIndex + 2];
+    if (!packedMap.has(packedRGB)) {continue;}
+
+    const rgb = packedMap.get(packedRGB);
+    if (rgb) {
+      output.set(rgb, pixelIndex);
+    } else {
+      output[pixelIndex + 3] = 0;
+    }
+    changedPixels++;
+  }
+
+  return { imageData: new ImageData(output, imageData.width, imageData.height), changedPixels };
+}
@@ -0,0 +1,540 @@
+/** A pool of Web Workers that runs the heavy template rendering off of the main thread.
+ * Tasks are queued, and each worker runs one task at a time.
+ * If workers can not be created (e.g. blocked by the Content Security Policy of the website), the tasks run on the main thread instead.
+ * @class WorkerPool
+ * @since 0.84.0
+ * @example
+ * const workerPool = new WorkerPool(2, status => console.log(status));
+ * const { blob, progress } = await workerPool.run('renderTile', { tileBlob, tileSize: 1000, drawMult: 3, chunks: [] });
+ */
+export default class WorkerPool {
+
+  /** The constructor for the {@link WorkerPool} class.
+   * @param {number} [size] - The maximum number of tasks that run at the same time. Defaults to one less than the number of CPU cores (between 1 and 4)
+   * @param {function(Object):void} [onProgress=()=>{}] - Called with `{ type, running, queued, progress }` whenever a task starts, finishes, or reports progress
+   * @since 0.84.0
+   */
+  constructor(size = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1)), onProgress = () => {}) {
+    this.size = size; // The maximum number of tasks that run at the same time
+    this.onProgress = onProgress; // Progress callback
+    this.queue = []; // Tasks waiting for a worker
+    this.workers = []; // All workers, and the task each is currently running
+    this.workerURL = null; // The blob URL of the worker script
+    this.nextTaskID = 0; // The ID of the next task, used to match worker responses to tasks
+    this.tasksFallback = null; // The tasks to run on the main thread, if workers are not available
+    this.runningFallback = 0; // The number of tasks running on the main thread
+  }
+
+  /** Queues a task.
+   * @param {string} type - The name of the task (e.g. 'renderTile' or 'chunkTemplate')
+   * @param {Object} payload - The data the task needs
+   * @param {Array<Transferable>} [transfer=[]] - Objects in the payload to transfer to the worker instead of copying
+   * @returns {Promise<Object>} The result of the task
+   * @since 0.84.0
+   */
+  run(type, payload, transfer = []) {
+    return new Promise((resolve, reject) => {
+      this.queue.push({ id: this.nextTaskID++, type, payload, transfer, resolve, reject });
+      this.#dispatch();
+    });
+  }
+
+  /** Starts queued tasks until every worker is busy.
+   * @since 0.84.0
+   */
+  #dispatch() {
+
+    while (this.queue.length > 0) {
+
+      // Runs the task on the main thread when workers are not available
+      if (this.tasksFallback || !this.#createWorkers()) {
+        if (this.runningFallback >= 1) {break;} // The main thread only runs one task at a time
+        this.#runFallback(this.queue.shift());
+        continue;
+      }
+
+      const worker = this.workers.find(worker => !worker.task);
+      if (!worker) {break;} // Every worker is busy
+
+      const task = this.queue.shift();
+      worker.task = task;
+
+      // Objects are only transferred to workers that have started. Until then, the payload is copied, so the task can still run on the main thread if the worker fails to load
+      worker.worker.postMessage({ id: task.id, type: task.type, payload: task.payload }, worker.isReady ? task.transfer : []);
+      this.#reportProgress(task.type);
+    }
+  }
+
+  /** Creates the workers, if they do not exist yet.
+   * @returns {boolean} Whether the workers exist
+   * @since 0.84.0
+   */
+  #createWorkers() {
+
+    if (this.workers.length > 0) {return true;}
+
+    try {
+      this.workerURL = URL.createObjectURL(new Blob([`(${workerMain})();`], { type: 'text/javascript' }));
+
+      for (let index = 0; index < this.size; index++) {
+        const worker = { worker: new Worker(this.workerURL), task: null, isReady: false };
+        worker.worker.onmessage = (event) => this.#handleMessage(worker, event.data);
+        worker.worker.onerror = (event) => this.#handleError(worker, event);
+        this.workers.push(worker);
+      }
+
+      return true;
+    } catch (exception) {
+      console.warn('[BlueMarble] Web Workers are not available. Rendering on the main thread instead:', exception);
+      this.#useFallback();
+      return false;
+    }
+  }
+
+  /** Handles a message from a worker.
+   * @param {{worker: Worker, task: Object, isReady: boolean}} worker - The worker that sent the message
+   * @param {{id?: number, ready?: boolean, result?: Object, error?: string, progress?: number}} message - The message
+   * @since 0.84.0
+   */
+  #handleMessage(worker, message) {
+
+    // The worker loaded, so objects can be transferred to it from now on
+    if (message.ready) {
+      worker.isReady = true;
+      return;
+    }
+
+    const task = worker.task;
+    if (!task || task.id !== message.id) {return;} // Not the task this worker is running
+
+    // The task is not done yet, it only reported how far it is
+    if (message.progress !== undefined) {
+      this.#reportProgress(task.type, message.progress);
+      return;
+    }
+
+    worker.task = null;
+
+    if (message.error) {
+      task.reject(new Error(message.error));
+    } else {
+      task.resolve(message.result);
+    }
+
+    this.#reportProgress(task.type);
+    this.#dispatch();
+  }
+
+  /** Handles a worker that failed to load or crashed.
+   * All workers are stopped, and every unfinished task is run on the main thread instead.
+   * @param {{worker: Worker, task: Object}} worker - The worker that failed
+   * @param {ErrorEvent} event - The error
+   * @since 0.84.0
+   */
+  #handleError(worker, event) {
+
+    console.warn('[BlueMarble] A Web Worker failed. Rendering on the main thread instead:', event?.message || event);
+
+    // Puts the unfinished tasks back at the front of the queue...
+    const unfinishedTasks = this.workers.map(worker => worker.task).filter(Boolean);
+
+    // ...unless their payload was transferred to the worker, and is gone
+    const isDetached = (task) => task.transfer.some(object => object instanceof ArrayBuffer && object.byteLength === 0);
+    for (const task of unfinishedTasks.filter(isDetached)) {
+      task.reject(new Error('The worker failed after the task was sent to it'));
+    }
+    this.queue.unshift(...unfinishedTasks.filter(task => !isDetached(task)));
+
+    this.#useFallback();
+    this.#dispatch();
+  }
+
+  /** Stops all workers, and switches to running tasks on the main thread.
+   * @since 0.84.0
+   */
+  #useFallback() {
+
+    for (const worker of this.workers) {
+      worker.worker.terminate();
+    }
+    this.workers = [];
+
+    if (this.workerURL) {URL.revokeObjectURL(this.workerURL);}
+    this.workerURL = null;
+
+    this.tasksFallback = workerMain(); // The same tasks the workers would have run
+  }
+
+  /** Runs a task on the main thread.
+   * @param {Object} task - The task to run
+   * @since 0.84.0
+   */
+  async #runFallback(task) {
+
+    this.runningFallback++;
+    this.#reportProgress(task.type);
+
+    try {
+      const { result } = await this.tasksFallback[task.type](task.payload, (progress) => this.#reportProgress(task.type, progress));
+      task.resolve(result);
+    } catch (exception) {
+      task.reject(exception);
+    } finally {
+      this.runningFallback--;
+      this.#reportProgress(task.type);
+      this.#dispatch();
+    }
+  }
+
+  /** Reports the state of the pool to the progress callback.
+   * @param {string} type - The type of the task the report is about
+   * @param {number} [progress] - (Optional) How much of the task is done (0 to 1)
+   * @since 0.84.0
+   */
+  #reportProgress(type, progress) {
+    this.onProgress({
+      type: type,
+      running: this.runningFallback + this.workers.filter(worker => worker.task).length,
+      queued: this.queue.length,
+      progress: progress
+    });
+  }
+}
+
+/** The code that runs inside of each worker.
+ * This is converted to a string, so it can not use anything outside of itself (e.g. imports).
+ * When workers are not available, this is called directly, and the tasks run on the main thread instead.
+ * Every task returns `{ result, transfer }` where `transfer` are the objects in the result to transfer instead of copy.
+ * @returns {Object<string, function(Object, function(number):void):Promise<{result: Object, transfer: Array<Transferable>}>>} The tasks
+ * @since 0.84.0
+ */
+function workerMain() {
+
+  /** Is the pixel at the index the color #deface? */
+  const isDeface = (data, index) => data[index] === 222 && data[index + 1] === 250 && data[index + 2] === 206;
+
+  /** Converts a Uint8 array to base64. The same as `uint8ToBase64()` in utils.js, which can not be imported here */
+  const uint8ToBase64 = (uint8) => {
+    let binary = '';
+    for (let i = 0; i < uint8.length; i++) {
+      binary += String.fromCharCode(uint8[i]);
+    }
+    return btoa(binary); // Binary to ASCII
+  };
+
+  /** Is the pixel at the position in a block part of the shape?
+   * 'dot' is only the middle pixel, 'block' is every pixel, 'outline' is the edge of the block, and 'crosshair' is the middle row and column.
+   */
+  const isInShape = (shape, blockX, blockY, drawMult) => {
+    const middle = (drawMult - 1) / 2;
+    switch (shape) {
+      case 'block': return true;
+      case 'outline': return blockX === 0 || blockY === 0 || blockX === drawMult - 1 || blockY === drawMult - 1;
+      case 'crosshair': return blockX === middle || blockY === middle;
+      default: return blockX === middle && blockY === middle; // 'dot'
+    }
+  };
+
+  /** Mixes a tint color into a pixel color, half and half. Returns the pixel color unchanged when there is no tint */
+  const tintColor = (color, tint) => {
+    if (!tint) {return color;}
+    return [(color[0] + tint[0]) >> 1, (color[1] + tint[1]) >> 1, (color[2] + tint[2]) >> 1, color[3]];
+  };
+
+  /** Dims a pixel color when focus mode is on, and the color is not focused. Returns the pixel color unchanged otherwise */
+  const focusColor = (color, focus) => {
+    if (!focus || focus.colors.includes((color[0] << 16) | (color[1] << 8) | color[2])) {return color;}
+    return [color[0], color[1], color[2], Math.round(color[3] * focus.opacity)];
+  };
+
+  /** Shreds the pixels of a chunk.
+   * Every pixel becomes a block, where only the pixels in the shape of the style are drawn (by default, only the middle pixel).
+   * The color #deface becomes a translucent gray checkerboard pattern.
+   * In focus mode, pixels of colors that are not focused are dimmed.
+   */
+  const shredPixels = (pixels, drawMult, style = {}, focus = null) => {
+
+    const width = pixels.width * drawMult;
+    const height = pixels.height * drawMult;
+    const imageData = new ImageData(width, height);
+
+    for (let y = 0; y < pixels.height; y++) {
+      for (let x = 0; x < pixels.width; x++) {
+
+        const pixelIndex = (y * pixels.width + x) * 4;
+        if (pixels.data[pixelIndex + 3] === 0) {continue;} // Transparent pixels stay transparent
+
+        if (isDeface(pixels.data, pixelIndex)) {
+
+          // Formula for checkerboard pattern
+          for (let blockY = 0; blockY < drawMult; blockY++) {
+            for (let blockX = 0; blockX < drawMult; blockX++) {
+              const shreddedX = (x * drawMult) + blockX;
+              const shreddedY = (y * drawMult) + blockY;
+              if ((shreddedX + shreddedY) % 2 === 0) {
+                imageData.data.set([0, 0, 0, 32], (shreddedY * width + shreddedX) * 4); // Translucent black
+              }
+            }
+          }
+        } else {
+          // Otherwise only draw the pixels in the shape
+          const color = tintColor(focusColor(pixels.data.subarray(pixelIndex, pixelIndex + 4), focus), style.tint);
+          for (let blockY = 0; blockY < drawMult; blockY++) {
+            for (let blockX = 0; blockX < drawMult; blockX++) {
+              if (!isInShape(style.shape, blockX, blockY, drawMult)) {continue;}
+              imageData.data.set(color, (((y * drawMult) + blockY) * width + (x * drawMult) + blockX) * 4);
+            }
+          }
+        }
+      }
+    }
+
+    return imageData;
+  };
+
+  /** Compares the pixels of a chunk with the pixels of the tile it is on.
+   * Transparent template pixels and #deface pixels are not counted.
+   * Also returns the state of each pixel. 0 = not counted, 1 = correct, 2 = missing, 3 = wrong
+   */
+  const compareChunkWithTile = (pixels, tilePixels, pixelCoords) => {
+
+    const progress = { correct: 0, missing: 0, wrong: 0 };
+    const states = new Uint8Array(pixels.width * pixels.height);
+
+    for (let y = 0; y < pixels.height; y++) {
+
+      const tileY = pixelCoords[1] + y;
+      if (tileY >= tilePixels.height) {break;} // The rest of the chunk is outside of the tile
+
+      for (let x = 0; x < pixels.width; x++) {
+
+        const tileX = pixelCoords[0] + x;
+        if (tileX >= tilePixels.width) {break;} // The rest of the row is outside of the tile
+
+        const pixelIndex = (y * pixels.width + x) * 4;
+        const tileIndex = (tileY * tilePixels.width + tileX) * 4;
+
+        if (pixels.data[pixelIndex + 3] === 0) {continue;} // Transparent template pixels do not need to be placed
+        if (isDeface(pixels.data, pixelIndex)) {continue;} // #deface pixels can be any color, so they are not counted
+
+        if (tilePixels.data[tileIndex + 3] === 0) {
+          progress.missing++; // Nothing has been placed here yet
+          states[y * pixels.width + x] = 2;
+        } else if (
+          pixels.data[pixelIndex] === tilePixels.data[tileIndex] &&
+          pixels.data[pixelIndex + 1] === tilePixels.data[tileIndex + 1] &&
+          pixels.data[pixelIndex + 2] === tilePixels.data[tileIndex + 2]
+        ) {
+          progress.correct++;
+          states[y * pixels.width + x] = 1;
+        } else {
+          progress.wrong++;
+          states[y * pixels.width + x] = 3;
+        }
+      }
+    }
+
+    return { progress, states };
+  };
+
+  /** Draws only the pixels of a chunk that are not correct on the tile.
+   * Missing pixels are drawn in the shape of the style, like every pixel is normally.
+   * Wrong pixels are drawn the same, with the rest of the block filled in with a bright color.
+   * In focus mode, pixels of colors that are not focused are dimmed, outline included.
+   */
+  const createErrorsImageData = (pixels, states, drawMult, style = {}, focus = null) => {
+
+    const width = pixels.width * drawMult;
+    const height = pixels.height * drawMult;
+    const imageData = new ImageData(width, height);
+    const outlineColor = [255, 0, 255, 255]; // Magenta, since it is not in the palette
+
+    for (let y = 0; y < pixels.height; y++) {
+      for (let x = 0; x < pixels.width; x++) {
+
+        const state = states[y * pixels.width + x];
+        if (state !== 2 && state !== 3) {continue;} // Correct (and uncounted) pixels are hidden
+
+        const pixelIndex = (y * pixels.width + x) * 4;
+        const color = tintColor(focusColor(pixels.data.subarray(pixelIndex, pixelIndex + 4), focus), style.tint);
+        const outline = [outlineColor[0], outlineColor[1], outlineColor[2], color[3]]; // As dimmed as the pixel
+
+        // For every pixel in the block of this pixel...
+        for (let blockY = 0; blockY < drawMult; blockY++) {
+          for (let blockX = 0; blockX < drawMult; blockX++) {
+
+            const shreddedIndex = (((y * drawMult) + blockY) * width + (x * drawMult) + blockX) * 4;
+
+            if (isInShape(style.shape, blockX, blockY, drawMult)) {
+              imageData.data.set(color, shreddedIndex); // The color that should be placed
+            } else if (state === 3) {
+              imageData.data.set(outline, shreddedIndex); // Outlines wrong pixels
+            }
+          }
+        }
+      }
+    }
+
+    return imageData;
+  };
+
+  const tasks = {
+
+    /** Chunks a template image into one piece for each tile it is on.
+     * Each chunk is returned as a shredded bitmap, a base 64 encoded PNG of the shredded bitmap, and the unshredded pixels.
+     */
+    async chunkTemplate({ file, coords, tileSize, shreadSize }, reportProgress) {
+
+      const bitmap = await createImageBitmap(file); // Create efficient bitmap from uploaded file
+      const imageWidth = bitmap.width;
+      const imageHeight = bitmap.height;
+
+      // Reads every pixel of the image once
+      const canvasSource = new OffscreenCanvas(imageWidth, imageHeight);
+      const contextSource = canvasSource.getContext('2d', { willReadFrequently: true });
+      contextSource.drawImage(bitmap, 0, 0);
+      const imageData = contextSource.getImageData(0, 0, imageWidth, imageHeight);
+
+      const tiles = {}; // Holds the chunks
+      const transfer = []; // Holds the objects to transfer back
+      let pixelCount = 0; // The number of non-transparent pixels (not including #deface)
+
+      // The number of chunks, so the progress can be reported
+      const chunksX = Math.ceil(((coords[2] % tileSize) + imageWidth) / tileSize);
+      const chunksY = Math.ceil(((coords[3] % tileSize) + imageHeight) / tileSize);
+      let chunksDone = 0;
+
+      const canvas = new OffscreenCanvas(tileSize, tileSize);
+      const context = canvas.getContext('2d');
+
+      // For every tile...
+      for (let pixelY = coords[3]; pixelY < imageHeight + coords[3]; ) {
+
+        // Draws the partial tile first, if any
+        // This calculates the size based on which is smaller:
+        // A. The top left corner of the current tile to the bottom right corner of the current tile
+        // B. The top left corner of the current tile to the bottom right corner of the image
+        const drawSizeY = Math.min(tileSize - (pixelY % tileSize), imageHeight - (pixelY - coords[3]));
+
+        for (let pixelX = coords[2]; pixelX < imageWidth + coords[2];) {
+
+          const drawSizeX = Math.min(tileSize - (pixelX % tileSize), imageWidth - (pixelX - coords[2]));
+
+          // Copies the unshredded pixels of this chunk, row by row
+          const pixels = { width: drawSizeX, height: drawSizeY, data: new Uint8ClampedArray(drawSizeX * drawSizeY * 4) };
+          for (let row = 0; row < drawSizeY; row++) {
+            const sourceIndex = (((pixelY - coords[3]) + row) * imageWidth + (pixelX - coords[2])) * 4;
+            pixels.data.set(imageData.data.subarray(sourceIndex, sourceIndex + (drawSizeX * 4)), row * drawSizeX * 4);
+          }
+
+          // Counts every visible pixel so the progress can be tracked later
+          for (let pixelIndex = 0; pixelIndex < pixels.data.length; pixelIndex += 4) {
+            if (pixels.data[pixelIndex + 3] > 0 && !isDeface(pixels.data, pixelIndex)) {pixelCount++;}
+          }
+
+          // Change the canvas size (which wipes the canvas) and draws the shredded chunk
+          canvas.width = drawSizeX * shreadSize;
+          canvas.height = drawSizeY * shreadSize;
+          context.putImageData(shredPixels(pixels, shreadSize), 0, 0);
+
+          // Creates the "0000,0000,000,000" key name
+          const templateTileName = `${(coords[0] + Math.floor(pixelX / tileSize))
+            .toString()
+            .padStart(4, '0')},${(coords[1] + Math.floor(pixelY / tileSize))
+            .toString()
+            .padStart(4, '0')},${(pixelX % tileSize)
+            .toString()
+            .padStart(3, '0')},${(pixelY % tileSize).toString().padStart(3, '0')}`;
+
+          const canvasBlob = await canvas.convertToBlob();
+          const canvasBuffer = await canvasBlob.arrayBuffer();
+
+          tiles[templateTileName] = {
+            bitmap: await createImageBitmap(canvas), // Creates the bitmap
+            buffer: uint8ToBase64(new Uint8Array(canvasBuffer)), // Stores the buffer
+            pixels: pixels
+          };
+          transfer.push(tiles[templateTileName].bitmap, pixels.data.buffer);
+
+          reportProgress(++chunksDone / (chunksX * chunksY));
+
+          pixelX += drawSizeX;
+        }
+
+        pixelY += drawSizeY;
+      }
+
+      return { result: { tiles, pixelCount }, transfer };
+    },
+
+    /** Draws the chunks of every template on a tile, and compares them with the pixels on the tile.
+     * The tile is enlarged by the draw multiplier, so each pixel can be drawn as a block.
+     */
+    async renderTile({ tileBlob, tileSize, drawMult, chunks }) {
+
+      const drawSize = tileSize * drawMult; // Calculate draw multiplier for scaling
+      const tileBitmap = await createImageBitmap(tileBlob);
+
+      const canvas = new OffscreenCanvas(drawSize, drawSize);
+      const context = canvas.getContext('2d');
+
+      context.imageSmoothingEnabled = false; // Nearest neighbor
+
+      // Tells the canvas to ignore anything outside of this area
+      context.beginPath();
+      context.rect(0, 0, drawSize, drawSize);
+      context.clip();
+
+      context.clearRect(0, 0, drawSize, drawSize); // Draws transparent background
+      context.drawImage(tileBitmap, 0, 0, drawSize, drawSize);
+
+      // The pixels currently on the tile. Needed to find the errors, and the progress, of each template
+      const canvasTile = new OffscreenCanvas(tileBitmap.width, tileBitmap.height);
+      const contextTile = canvasTile.getContext('2d', { willReadFrequently: true });
+      contextTile.drawImage(tileBitmap, 0, 0);
+      const tilePixels = contextTile.getImageData(0, 0, tileBitmap.width, tileBitmap.height);
+
+      const canvasChunk = new OffscreenCanvas(1, 1);
+      const contextChunk = canvasChunk.getContext('2d');
+      const progress = []; // The progress of each chunk, in the same order as the chunks
+
+      // For each template in this tile, draw them.
+      for (const chunk of chunks) {
+
+        const { progress: chunkProgress, states } = compareChunkWithTile(chunk.pixels, tilePixels, chunk.pixelCoords);
+        progress.push(chunkProgress);
+
+        const style = chunk.style || {};
+        const imageData = chunk.renderMode == 'errors'
+          ? createErrorsImageData(chunk.pixels, states, drawMult, style, chunk.focus)
+          : shredPixels(chunk.pixels, drawMult, style, chunk.focus);
+
+        // Draws the each template on the tile based on it's relative position
+        canvasChunk.width = imageData.width;
+        canvasChunk.height = imageData.height;
+        contextChunk.putImageData(imageData, 0, 0);
+        context.globalAlpha = style.opacity ?? 1;
+        context.drawImage(canvasChunk, chunk.pixelCoords[0] * drawMult, chunk.pixelCoords[1] * drawMult);
+        context.globalAlpha = 1;
+      }
+
+      return { result: { blob: await canvas.convertToBlob({ type: 'image/png' }), progress }, transfer: [] };
+    }
+  };
+
+  // Inside of a worker, tasks are received as messages
+  if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+    self.onmessage = async (event) => {
+      const { id, type, payload } = event.data;
+      try {
+        const { result, transfer } = await tasks[type](payload, (progress) => self.postMessage({ id, progress }));
+        self.postMessage({ id, result }, transfer);
+      } catch (exception) {
+        self.postMessage({ id, error: exception?.message || String(exception) });
+      }
+    };
+    self.postMessage({ ready: true }); // Tells the pool the worker loaded
+  }
+
+  return tasks;
+}